@@ -0,0 +1,167 @@
+// lib/achievements.js
+// 成就：声明式定义 + 统一的检查入口；服务端在事件发生后调用 checkAchievements
+import { DROP_TABLE } from "./gacha.js";
+import { ownedCards } from "./history.js";
+
+// 会触发检查的事件
+// time：时间心跳；coin：领取硬币；checkin：每日签到；draw：抽卡；craft：合成；
+// trade：交易成交；review：发表评论
+export const ACHIEVEMENT_EVENTS = [
+  "time",
+  "coin",
+  "checkin",
+  "draw",
+  "craft",
+  "trade",
+  "review",
+];
+
+// 新增成就只需要在这里加一条：events 为需要检查的事件，test 根据统计数据判断是否达成
+// badge 为显示在徽章上的短文字
+export const ACHIEVEMENTS = [
+  {
+    id: "first-draw",
+    badge: "1st",
+    name: "First Draw",
+    nameZh: "初次抽卡",
+    description: "Draw your first card.",
+    descriptionZh: "完成第一次抽卡。",
+    events: ["draw"],
+    test: (s) => s.draws >= 1,
+  },
+  {
+    id: "first-s",
+    badge: "S!",
+    name: "Lucky Star",
+    nameZh: "欧皇降临",
+    description: "Draw an S card.",
+    descriptionZh: "抽到一张 S 卡。",
+    events: ["draw"],
+    test: (s) => (s.drawnLevels.S || 0) >= 1,
+  },
+  {
+    id: "hours-1",
+    badge: "1h",
+    name: "Warming Up",
+    nameZh: "渐入佳境",
+    description: "Reach 1 hour of active time.",
+    descriptionZh: "累计有效时间达到 1 小时。",
+    events: ["time"],
+    test: (s) => s.totalSeconds >= 60 * 60,
+  },
+  {
+    id: "hours-10",
+    badge: "10h",
+    name: "Time Keeper",
+    nameZh: "时间守望者",
+    description: "Reach 10 hours of active time.",
+    descriptionZh: "累计有效时间达到 10 小时。",
+    events: ["time"],
+    test: (s) => s.totalSeconds >= 10 * 60 * 60,
+  },
+  {
+    id: "coins-50-streak",
+    badge: "50x",
+    name: "Quick Hands",
+    nameZh: "眼疾手快",
+    description: "Claim 50 bonus coins in a row without missing one.",
+    descriptionZh: "连续领取 50 次奖励硬币，一次都没有错过。",
+    events: ["coin"],
+    test: (s) => s.claimStreak >= 50,
+  },
+  {
+    id: "checkin-7",
+    badge: "7d",
+    name: "Regular",
+    nameZh: "全勤",
+    description: "Check in 7 days in a row.",
+    descriptionZh: "连续签到 7 天。",
+    events: ["checkin"],
+    test: (s) => s.checkinStreak >= 7,
+  },
+  {
+    id: "crafter",
+    badge: "+",
+    name: "Crafter",
+    nameZh: "合成师",
+    description: "Craft a card.",
+    descriptionZh: "合成一张卡牌。",
+    events: ["craft"],
+    test: (s) => s.crafts >= 1,
+  },
+  {
+    id: "collection-complete",
+    badge: "ALL",
+    name: "Completionist",
+    nameZh: "全图鉴",
+    description: "Own every card level at the same time.",
+    descriptionZh: "同时持有所有等级的卡牌。",
+    events: ["draw", "craft", "trade"],
+    test: (s) => s.missingLevels === 0,
+  },
+  {
+    id: "first-review",
+    badge: "Rv",
+    name: "Critic",
+    nameZh: "评论家",
+    description: "Post your first review.",
+    descriptionZh: "发表第一条评论。",
+    events: ["review"],
+    test: (s) => s.reviews >= 1,
+  },
+];
+
+// ---------- 统计 ----------
+
+// 从存储的数据汇总出成就需要的数字；countReviews() 返回该用户写过的评论数
+export function getAchievementStats(user, { countReviews = () => 0 } = {}) {
+  const state = user.state || {};
+  const cards = state.cards || [];
+  const drawn = cards.filter((c) => !c.source);
+
+  const drawnLevels = {};
+  drawn.forEach((c) => {
+    drawnLevels[c.level] = (drawnLevels[c.level] || 0) + 1;
+  });
+
+  const owned = new Set(ownedCards(cards).map((c) => c.level));
+  const missingLevels = DROP_TABLE.levels.filter(
+    (l) => l.level !== "NONE" && !owned.has(l.level)
+  ).length;
+
+  return {
+    totalSeconds: state.totalSeconds || 0,
+    claimStreak: state.claimStreak || 0,
+    checkinStreak: user.checkin?.streak || 0,
+    draws: drawn.length,
+    drawnLevels,
+    crafts: cards.filter((c) => c.source === "craft").length,
+    missingLevels,
+    reviews: countReviews(),
+  };
+}
+
+// ---------- 解锁 ----------
+
+// 已解锁的成就保存在 user.achievements（不在 state 里，Reset 不会清掉）
+// 返回本次新解锁的定义
+export function checkAchievements(user, event, context) {
+  if (!Array.isArray(user.achievements)) user.achievements = [];
+  const unlocked = new Set(user.achievements.map((a) => a.id));
+
+  const candidates = ACHIEVEMENTS.filter(
+    (a) => !unlocked.has(a.id) && a.events.includes(event)
+  );
+  if (!candidates.length) return [];
+
+  const stats = getAchievementStats(user, context);
+  const unlockedAt = new Date().toISOString();
+  const fresh = candidates.filter((a) => a.test(stats));
+  fresh.forEach((a) => user.achievements.push({ id: a.id, unlockedAt }));
+  return fresh.map(toPublicAchievement);
+}
+
+export function toPublicAchievement(achievement) {
+  const { events, test, ...rest } = achievement;
+  return rest;
+}
@@ -0,0 +1,77 @@
+// lib/activity.js
+// 有效时长由服务端根据心跳计算，不再信任客户端上报的 totalSeconds
+// 心跳 { clientId, activeMs, signals }：activeMs 为上一次心跳以来本页面处于活跃状态的毫秒数，
+// signals 为发送时的活跃信号（焦点 / 可见 / 指针 / 触屏）
+// 每次计入的时间不超过距上一次心跳的真实间隔；同一账号多个页面合计也不超过真实经过的时间
+
+export const HEARTBEAT_INTERVAL_MS = 5000;
+// 断线、休眠之后的第一次心跳最多补这么久
+export const MAX_HEARTBEAT_CREDIT_MS = 15000;
+// 超过这么久没有心跳的页面视为已关闭
+const CLIENT_TTL_MS = 60 * 1000;
+
+// username -> { creditedUntil, carryMs, clients: Map<clientId, { lastAt, active }> }
+export function createActivityTracker() {
+  return new Map();
+}
+
+// 与前端 isActiveForTimer() 相同的判定：可见且有焦点，桌面端还要求指针在页面内
+export function isActiveSignals(signals) {
+  if (!signals?.visible || !signals?.focused) return false;
+  return !!(signals.touch || signals.pointer);
+}
+
+function getEntry(tracker, username, now) {
+  let entry = tracker.get(username);
+  if (!entry) {
+    entry = { creditedUntil: now, carryMs: 0, clients: new Map() };
+    tracker.set(username, entry);
+  }
+  for (const [id, client] of entry.clients) {
+    if (now - client.lastAt > CLIENT_TTL_MS) entry.clients.delete(id);
+  }
+  return entry;
+}
+
+// 处理一次心跳，返回应计入的整秒数（不足一秒的部分留到下一次）
+export function acceptHeartbeat(
+  tracker,
+  username,
+  { clientId, activeMs, signals },
+  now = Date.now()
+) {
+  const entry = getEntry(tracker, username, now);
+  const id = String(clientId || "default").slice(0, 64);
+  const active = isActiveSignals(signals);
+  const client = entry.clients.get(id);
+  entry.clients.set(id, { lastAt: now, active });
+
+  // 页面的第一次心跳只建立起点
+  if (!client) return 0;
+
+  // 两端都不活跃说明这段时间里没有切换过状态（切换时前端会立即发心跳），不计时
+  if (!client.active && !active) return 0;
+
+  let credit = Math.min(
+    Math.max(0, Number(activeMs) || 0),
+    now - client.lastAt,
+    MAX_HEARTBEAT_CREDIT_MS,
+    // 多个页面同时活跃时，已经计过的时间段不再重复计
+    Math.max(0, now - entry.creditedUntil)
+  );
+  if (credit <= 0) return 0;
+
+  entry.creditedUntil = now;
+  credit += entry.carryMs;
+  const seconds = Math.floor(credit / 1000);
+  entry.carryMs = credit - seconds * 1000;
+  return seconds;
+}
+
+// 退出登录、页面关闭时清掉该页面
+export function forgetClient(tracker, username, clientId) {
+  const entry = tracker.get(username);
+  if (!entry) return;
+  entry.clients.delete(String(clientId || "default").slice(0, 64));
+  if (!entry.clients.size) tracker.delete(username);
+}
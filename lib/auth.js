@@ -0,0 +1,129 @@
+// lib/auth.js
+// 密码哈希（scrypt）+ 登录会话（HttpOnly cookie）
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+export const SESSION_COOKIE = "ts_session";
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const MAX_USERNAME_LENGTH = 32;
+
+// ---------- 用户名 ----------
+
+// 用户名会出现在排行榜、交易等各处，只接受非空、长度有限的字符串
+export function isValidUsername(username) {
+  return (
+    typeof username === "string" &&
+    username.trim().length > 0 &&
+    username.length <= MAX_USERNAME_LENGTH
+  );
+}
+
+// ---------- 密码 ----------
+
+// 存储格式：scrypt$<salt hex>$<hash hex>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const key = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// 旧账号的明文密码比较（只在迁移时使用）
+export function verifyLegacyPassword(password, plain) {
+  const a = Buffer.from(String(password));
+  const b = Buffer.from(String(plain ?? ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ---------- 会话 ----------
+// 只保存 token 的 sha256，泄露数据库也拿不到可用的 token
+// sessions 为存储层的 sessions（见 lib/storage.js），写入由调用方放进 transaction
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function createSession(sessions, username, now = Date.now()) {
+  pruneSessions(sessions, now);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = now + SESSION_TTL_MS;
+  sessions.save({
+    tokenHash: hashToken(token),
+    username,
+    createdAt: new Date(now).toISOString(),
+    expiresAt,
+  });
+
+  return { token, expiresAt };
+}
+
+export function findSession(sessions, token, now = Date.now()) {
+  if (!token) return null;
+  const session = sessions.get(hashToken(token));
+  if (!session || session.expiresAt <= now) return null;
+  return session;
+}
+
+export function deleteSession(sessions, token) {
+  if (!token) return;
+  sessions.remove(hashToken(token));
+}
+
+export function pruneSessions(sessions, now = Date.now()) {
+  sessions.removeExpired(now);
+}
+
+// ---------- Cookie / Header ----------
+
+// 同域名下其它应用的 cookie 可能不是合法的 URI 编码，解不开的直接跳过
+export function parseCookies(header) {
+  const cookies = {};
+  String(header || "")
+    .split(";")
+    .forEach((part) => {
+      const idx = part.indexOf("=");
+      if (idx < 0) return;
+      const key = part.slice(0, idx).trim();
+      const value = part.slice(idx + 1).trim();
+      if (!key) return;
+      try {
+        cookies[key] = decodeURIComponent(value);
+      } catch {
+        // 忽略格式错误的 cookie
+      }
+    });
+  return cookies;
+}
+
+// 同时支持 cookie 与 Authorization: Bearer <token>
+export function getRequestToken(headers = {}) {
+  const auth = headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+}
+
+export function sessionCookie(token, expiresAt) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Expires=${new Date(expiresAt).toUTCString()}`,
+  ].join("; ");
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
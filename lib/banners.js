@@ -0,0 +1,122 @@
+// lib/banners.js
+// 限时卡池：管理员设定开始 / 结束时间、单独的掉落权重、费用和宣传图
+import crypto from "crypto";
+import { DROP_TABLE, isValidLevel, toPublicTable } from "./gacha.js";
+
+export const MAX_BANNER_NAME_LENGTH = 60;
+
+// ---------- 创建 ----------
+
+function parseTime(value) {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// 管理员提交的卡池：
+// { name, nameZh?, image?, startsAt, endsAt, cost?, multiCost?, weights?: { A: 4 } }
+// weights 只需要写与常驻卡池不同的等级；不合法时返回 { error }
+export function createBanner(input, { createdBy, now = Date.now() } = {}) {
+  const name = String(input?.name || "").trim();
+  if (!name || name.length > MAX_BANNER_NAME_LENGTH) {
+    return { error: "Invalid banner name." };
+  }
+
+  const startsAt = parseTime(input.startsAt ?? now);
+  const endsAt = parseTime(input.endsAt);
+  if (startsAt === null || endsAt === null || endsAt <= startsAt) {
+    return { error: "Invalid banner schedule." };
+  }
+  if (endsAt <= now) return { error: "Banner would already be over." };
+
+  const weights = {};
+  for (const [rawLevel, rawWeight] of Object.entries(input.weights || {})) {
+    const level = String(rawLevel).toUpperCase();
+    const weight = Number(rawWeight);
+    if (!isValidLevel(level) || !Number.isFinite(weight) || weight < 0) {
+      return { error: "Invalid banner weights." };
+    }
+    weights[level] = weight;
+  }
+
+  const cost = Number(input.cost ?? DROP_TABLE.cost);
+  if (!isPositiveInteger(cost)) return { error: "Invalid banner cost." };
+
+  let multi = DROP_TABLE.multi ? { ...DROP_TABLE.multi } : null;
+  if (input.multiCost !== undefined) {
+    const multiCost = Number(input.multiCost);
+    if (!multi || !isPositiveInteger(multiCost)) {
+      return { error: "Invalid banner cost." };
+    }
+    multi.cost = multiCost;
+  }
+
+  const banner = {
+    id: crypto.randomUUID(),
+    name,
+    nameZh: String(input.nameZh || name).trim(),
+    image: input.image ? String(input.image) : null,
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    cost,
+    multi,
+    weights,
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+  };
+
+  if (!buildBannerTable(banner).levels.some((l) => l.weight > 0)) {
+    return { error: "Invalid banner weights." };
+  }
+  return { banner };
+}
+
+// ---------- 掉落表 ----------
+
+// 以常驻掉落表为基础，覆盖费用和部分等级的权重
+export function buildBannerTable(banner, base = DROP_TABLE) {
+  const weights = banner.weights || {};
+  return {
+    ...base,
+    cost: banner.cost ?? base.cost,
+    multi: banner.multi ?? base.multi,
+    levels: base.levels.map((l) =>
+      weights[l.level] !== undefined ? { ...l, weight: weights[l.level] } : l
+    ),
+  };
+}
+
+// ---------- 排期 ----------
+
+export function getBannerStatus(banner, now = Date.now()) {
+  if (now < new Date(banner.startsAt).getTime()) return "upcoming";
+  if (now < new Date(banner.endsAt).getTime()) return "active";
+  return "ended";
+}
+
+export function isBannerActive(banner, now = Date.now()) {
+  return getBannerStatus(banner, now) === "active";
+}
+
+// 进行中与即将开始的卡池，按开始时间排序
+export function listBanners(banners, now = Date.now()) {
+  return (banners || [])
+    .filter((b) => getBannerStatus(b, now) !== "ended")
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+}
+
+export function toPublicBanner(banner, now = Date.now()) {
+  return {
+    id: banner.id,
+    name: banner.name,
+    nameZh: banner.nameZh,
+    image: banner.image,
+    startsAt: banner.startsAt,
+    endsAt: banner.endsAt,
+    status: getBannerStatus(banner, now),
+    table: toPublicTable(buildBannerTable(banner)),
+  };
+}
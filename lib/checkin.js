@@ -0,0 +1,98 @@
+// lib/checkin.js
+// 每日签到：按玩家时区计算“今天”，连续签到 7 天为一轮，第 7 天奖励最多
+// 签到数据保存在 user.checkin（不在 state 里），Reset 默认不会清掉
+
+// 第 1–7 天的奖励（硬币）；第 7 天之后从第 1 天重新开始，连续天数继续累计
+export const CHECKIN_REWARDS = [1, 1, 2, 2, 3, 3, 8];
+export const DEFAULT_TIME_ZONE = "UTC";
+// 修改时区的冷却时间，避免来回切换时区在同一天多次签到
+export const TIME_ZONE_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createCheckinState() {
+  return { streak: 0, lastDay: null, lastClaimedAt: null };
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 服务器时间在该时区的日期：YYYY-MM-DD
+export function localDayKey(now, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(new Date(now));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+function previousDayKey(key) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) - DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// 第 streak 天对应一轮里的第几天（1–7）
+function cycleDay(streak) {
+  return ((streak - 1) % CHECKIN_REWARDS.length) + 1;
+}
+
+// 今天签到后的连续天数：昨天签过则 +1，否则从 1 开始
+function nextStreak(checkin, today) {
+  if (checkin.lastDay && checkin.lastDay === previousDayKey(today)) {
+    return (checkin.streak || 0) + 1;
+  }
+  return 1;
+}
+
+// 给前端显示日历用
+export function getCheckinStatus(checkin, now, timeZone) {
+  const current = checkin || createCheckinState();
+  const today = localDayKey(now, timeZone);
+  // 往西改时区后，今天可能还早于上次签到的日期，同样算已签到
+  const claimedToday = !!current.lastDay && current.lastDay >= today;
+
+  // 昨天和今天都没签到，连续天数已经断了
+  const streak =
+    claimedToday || current.lastDay === previousDayKey(today)
+      ? current.streak || 0
+      : 0;
+  const next = claimedToday ? streak + 1 : nextStreak(current, today);
+
+  return {
+    today,
+    timeZone,
+    claimedToday,
+    streak,
+    // 日历上这一轮已经签到的天数（今天已签则包含今天）
+    completedDays: claimedToday ? cycleDay(streak) : cycleDay(next) - 1,
+    nextDay: cycleDay(next),
+    nextReward: CHECKIN_REWARDS[cycleDay(next) - 1],
+    rewards: CHECKIN_REWARDS,
+  };
+}
+
+// 签到：今天已签过返回 null；否则更新 checkin 并返回 { day, reward, streak }
+// 日期键是 YYYY-MM-DD，可以直接按字符串比较；不晚于上次签到的日期都不能再签
+export function claimCheckin(checkin, now, timeZone) {
+  const today = localDayKey(now, timeZone);
+  if (checkin.lastDay && today <= checkin.lastDay) return null;
+
+  const streak = nextStreak(checkin, today);
+  const day = cycleDay(streak);
+  checkin.streak = streak;
+  checkin.lastDay = today;
+  checkin.lastClaimedAt = new Date(now).toISOString();
+
+  return { day, reward: CHECKIN_REWARDS[day - 1], streak };
+}
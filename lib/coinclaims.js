@@ -0,0 +1,189 @@
+// lib/coinclaims.js
+// Collect +1 防挂机 / 防连点：每次硬币事件发一个一次性领取令牌，按钮出现在随机位置
+// 领取时校验令牌和反应时间；可疑的模式记到 user.coinClaims 里，按用户打分给管理员查看
+import crypto from "crypto";
+
+// 按钮显示 3 秒，再给网络延迟留一点余量
+export const COIN_LIFETIME_MS = 3000;
+const CLAIM_GRACE_MS = 1500;
+// 从下发令牌到收到领取请求的最短时间（已经包含网络往返），再快就不是人手点的
+export const MIN_REACTION_MS = 250;
+// 只保留最近这么多次硬币事件用于打分（120 秒一次，约 3 小时）
+const MAX_RECENT_OFFERS = 100;
+// 至少连续这么多次事件（约 3 小时）才看领取率，短时间全领到很正常
+const MIN_OFFERS_FOR_RATE = 90;
+
+// 达到这个分数在报告里标为可疑
+export const SUSPICION_THRESHOLD = 50;
+
+// user.coinClaims = { offer, offered, claimed, rejected: { fast, scripted }, recent: [...] }
+// 不在 state 里，Reset 不影响
+export function createCoinClaimState() {
+  return {
+    offer: null,
+    offered: 0,
+    claimed: 0,
+    rejected: { fast: 0, scripted: 0 },
+    recent: [],
+  };
+}
+
+// ---------- 发放 ----------
+
+// 为第 event 次硬币事件发令牌；position 为按钮在 Player 卡片里的相对位置（0–1）
+export function issueCoinOffer(claims, event, now = Date.now()) {
+  const offer = {
+    event,
+    token: crypto.randomBytes(16).toString("hex"),
+    position: {
+      x: crypto.randomInt(0, 1001) / 1000,
+      y: crypto.randomInt(0, 1001) / 1000,
+    },
+    issuedAt: now,
+    expiresAt: now + COIN_LIFETIME_MS + CLAIM_GRACE_MS,
+  };
+  claims.offer = offer;
+  claims.offered += 1;
+  // 按令牌对应：Reset 后事件编号会从 1 重新开始，recent 却保留着
+  claims.recent = claims.recent
+    .concat({ token: offer.token, event, issuedAt: now, claimed: false })
+    .slice(-MAX_RECENT_OFFERS);
+  return offer;
+}
+
+// 推送给前端的部分
+export function toPublicOffer(offer) {
+  return {
+    event: offer.event,
+    token: offer.token,
+    position: offer.position,
+    expiresAt: new Date(offer.expiresAt).toISOString(),
+  };
+}
+
+// ---------- 领取 ----------
+
+// body { token, trusted, touch, moved }
+// trusted：点击事件的 isTrusted；touch：触屏设备；moved：按钮出现后指针是否移动过（触屏不看）
+// lastClaimedEvent：state 里最后领取的事件，不晚于它的事件不能再领
+// 返回 { error, status } 或 { event, reactionMs }；令牌无论成功与否只能用一次
+export function checkCoinClaim(
+  claims,
+  { token, trusted, touch, moved },
+  { lastClaimedEvent = 0, now = Date.now() } = {}
+) {
+  const offer = claims.offer;
+  if (!offer || !token || offer.token !== String(token)) {
+    return { status: 409, error: "This coin is no longer available." };
+  }
+  claims.offer = null;
+
+  if (now > offer.expiresAt) {
+    return { status: 409, error: "This coin has expired." };
+  }
+  if (offer.event <= lastClaimedEvent) {
+    return { status: 409, error: "No coin is available yet." };
+  }
+
+  const reactionMs = now - offer.issuedAt;
+  const entry = claims.recent.find((r) => r.token === offer.token);
+  if (entry) {
+    entry.reactionMs = reactionMs;
+    entry.touch = !!touch;
+    entry.moved = touch ? null : !!moved;
+  }
+
+  if (trusted === false) {
+    claims.rejected.scripted += 1;
+    if (entry) entry.rejected = "scripted";
+    return { status: 400, error: "Please click the coin yourself." };
+  }
+  if (reactionMs < MIN_REACTION_MS) {
+    claims.rejected.fast += 1;
+    if (entry) entry.rejected = "fast";
+    return { status: 400, error: "That was faster than a human can click." };
+  }
+
+  claims.claimed += 1;
+  if (entry) entry.claimed = true;
+  return { event: offer.event, reactionMs };
+}
+
+// ---------- 打分 ----------
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function stdDev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.round(Math.sqrt(variance));
+}
+
+// 返回 { score: 0–100, reasons: [...], ... }；只看最近 MAX_RECENT_OFFERS 次事件
+// 触屏点击没有指针移动，不按「没移动指针」扣分
+export function getSuspicion(claims) {
+  const recent = claims?.recent || [];
+  const claimedRecent = recent.filter((r) => r.claimed);
+  const reactions = claimedRecent.map((r) => r.reactionMs);
+  const reasons = [];
+  let score = 0;
+
+  // 几个小时里一个都没错过
+  if (recent.length >= MIN_OFFERS_FOR_RATE) {
+    const rate = claimedRecent.length / recent.length;
+    if (rate === 1) {
+      score += 40;
+      reasons.push(`Claimed all of the last ${recent.length} coins`);
+    } else if (rate >= 0.97) {
+      score += 20;
+      reasons.push(
+        `Claimed ${Math.round(rate * 100)}% of the last ${recent.length} coins`
+      );
+    }
+  }
+
+  // 反应时间几乎不变：人手点击总会有波动
+  if (reactions.length >= 10) {
+    const deviation = stdDev(reactions);
+    if (deviation < 60) {
+      score += 25;
+      reasons.push(`Reaction time barely varies (±${deviation} ms)`);
+    }
+  }
+
+  // 按钮位置每次都不一样，用鼠标点到它总要移动指针
+  const stillClicks = claimedRecent.filter((r) => r.moved === false);
+  if (stillClicks.length >= 5) {
+    score += 20;
+    reasons.push(
+      `${stillClicks.length} clicks without moving the pointer to the coin`
+    );
+  }
+
+  const rejected =
+    (claims?.rejected?.fast || 0) + (claims?.rejected?.scripted || 0);
+  if (rejected) {
+    score += Math.min(30, rejected * 10);
+    reasons.push(`${rejected} claim(s) rejected as too fast or scripted`);
+  }
+
+  return {
+    score: Math.min(100, score),
+    suspicious: score >= SUSPICION_THRESHOLD,
+    reasons,
+    offered: claims?.offered || 0,
+    claimed: claims?.claimed || 0,
+    rejected: { fast: 0, scripted: 0, ...claims?.rejected },
+    recentOffers: recent.length,
+    recentClaimed: claimedRecent.length,
+    medianReactionMs: reactions.length ? median(reactions) : null,
+    touch: claimedRecent.some((r) => r.touch),
+  };
+}
@@ -0,0 +1,55 @@
+// lib/concurrency.js
+// 同一用户的修改串行执行，并用 state.version 发现客户端基于旧数据发来的请求
+// 路由里在 await 前后读写同一个 user 时，另一个请求不会插进来
+
+// 按 key 排队：run(keys, fn) 拿到所有 key 之后才执行 fn，结束后依次放行
+// 多个 key 按字典序获取，两个请求同时锁 A、B 时不会互相等待
+export function createKeyedLock() {
+  const tails = new Map();
+
+  function acquire(key) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => (release = resolve));
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+
+    return previous.then(() => () => {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+  }
+
+  return {
+    async run(keys, fn) {
+      const releases = [];
+      try {
+        for (const key of [...new Set(keys)].sort()) {
+          releases.push(await acquire(key));
+        }
+        return await fn();
+      } finally {
+        releases.reverse().forEach((release) => release());
+      }
+    },
+  };
+}
+
+// ---------- 版本号 ----------
+
+// 旧数据没有 version，按 0 处理
+export function getStateVersion(state) {
+  return Number.isInteger(state?.version) ? state.version : 0;
+}
+
+// 每次玩家操作修改 state 后加一（时长心跳只累加 totalSeconds，不算）
+export function bumpStateVersion(state) {
+  state.version = getStateVersion(state) + 1;
+  return state.version;
+}
+
+// 客户端带了 version 且与当前不一致：请求是基于旧数据发出的；不带 version 时不检查
+export function isStaleVersion(state, expected) {
+  if (expected === undefined || expected === null) return false;
+  return Number(expected) !== getStateVersion(state);
+}
@@ -0,0 +1,149 @@
+// lib/dropstats.js
+// 掉落统计：汇总所有玩家的抽卡记录，与掉落表的概率做比较（置信区间 + 卡方检验）
+import { DROP_TABLE, PITY_CONFIG } from "./gacha.js";
+
+// 95% 置信区间
+const Z_95 = 1.959963984540054;
+
+// ---------- 筛选 ----------
+
+// 保底生效的那一抽概率不是掉落表上的数字，不能拿来检验
+// 旧记录没有 fair.pity，无法判断，按未受影响处理
+export function isPityAffected(record, config = PITY_CONFIG) {
+  const pity = record.fair?.pity;
+  if (!pity) return false;
+  return (
+    (pity.sinceGuarantee || 0) + 1 >= config.guarantee.within ||
+    (pity.sinceSoft || 0) + 1 > config.soft.start
+  );
+}
+
+// 只统计真正抽到的卡（合成、交易得到的不算）；bannerId 为空时只看常驻卡池
+// records 为存储层按时间段查出的抽卡记录（见 lib/storage.js 的 draws.list）
+export function collectDraws(records, { bannerId = null } = {}) {
+  return (records || []).filter(
+    (card) => !card.source && (card.bannerId || null) === bannerId
+  );
+}
+
+// ---------- 统计 ----------
+
+// Wilson 区间：样本少或概率接近 0 时比正态近似可靠
+export function wilsonInterval(successes, total, z = Z_95) {
+  if (!total) return [0, 1];
+  const p = successes / total;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * total)) / (1 + z2 / total);
+  const half =
+    (z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) /
+    (1 + z2 / total);
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const v of c) ser += v / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// 正则化上不完全伽马函数 Q(a, x)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+
+  if (x < a + 1) {
+    // 级数展开求 P，再取 1 - P
+    let sum = 1 / a;
+    let del = sum;
+    for (let n = 1; n < 500; n++) {
+      del *= x / (a + n);
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+
+  // 连分式直接求 Q
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+// 卡方拟合优度：observed / expected 为各等级的次数
+export function chiSquareTest(observed, expected) {
+  let statistic = 0;
+  let categories = 0;
+  observed.forEach((o, i) => {
+    const e = expected[i];
+    if (e <= 0) return;
+    statistic += ((o - e) * (o - e)) / e;
+    categories += 1;
+  });
+
+  const df = Math.max(0, categories - 1);
+  const pValue = df ? gammaQ(df / 2, statistic / 2) : null;
+  return { statistic, df, pValue };
+}
+
+// ---------- 汇总 ----------
+
+export function getDropStats(
+  records,
+  { from, to, bannerId = null, table = DROP_TABLE } = {}
+) {
+  const all = collectDraws(records, { bannerId });
+  const draws = all.filter((d) => !isPityAffected(d));
+  const total = draws.length;
+
+  const counts = {};
+  draws.forEach((d) => {
+    counts[d.level] = (counts[d.level] || 0) + 1;
+  });
+
+  const weightSum = table.levels.reduce((sum, l) => sum + l.weight, 0);
+  const levels = table.levels.map((l) => {
+    const count = counts[l.level] || 0;
+    return {
+      level: l.level,
+      count,
+      expected: l.weight / weightSum,
+      observed: total ? count / total : 0,
+      ci: wilsonInterval(count, total),
+    };
+  });
+
+  return {
+    bannerId,
+    from: from || null,
+    to: to || null,
+    total,
+    excludedPity: all.length - total,
+    levels,
+    chiSquare: total
+      ? chiSquareTest(
+          levels.map((l) => l.count),
+          levels.map((l) => l.expected * total)
+        )
+      : null,
+  };
+}
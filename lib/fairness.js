@@ -0,0 +1,107 @@
+// lib/fairness.js
+// 可验证公平：先公布服务端种子的哈希，每次抽卡的随机数 = HMAC(serverSeed, clientSeed:nonce)
+// 更换种子时公开旧的 serverSeed，玩家可以自己重算之前每一次抽卡
+import crypto from "crypto";
+
+export const MAX_CLIENT_SEED_LENGTH = 64;
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash("sha256").update(serverSeed).digest("hex");
+}
+
+export function isValidClientSeed(clientSeed) {
+  return (
+    typeof clientSeed === "string" &&
+    clientSeed.trim().length > 0 &&
+    clientSeed.length <= MAX_CLIENT_SEED_LENGTH
+  );
+}
+
+// ---------- 种子 ----------
+
+function createSeedPair(clientSeed = randomHex(8), now = Date.now()) {
+  const serverSeed = randomHex(32);
+  return {
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed,
+    nonce: 0,
+    createdAt: new Date(now).toISOString(),
+  };
+}
+
+// user.fairness = { current, revealed: [...] }；不在 state 里，Reset 不影响
+export function createFairnessState() {
+  return { current: createSeedPair(), revealed: [] };
+}
+
+// 只修改 clientSeed：nonce 继续递增，(clientSeed, nonce) 不会重复
+export function setClientSeed(fairness, clientSeed) {
+  fairness.current.clientSeed = clientSeed.trim();
+}
+
+// 换一组新种子并公开旧的 serverSeed；返回被公开的那一组
+export function rotateSeed(fairness, clientSeed, now = Date.now()) {
+  const old = fairness.current;
+  const revealed = {
+    serverSeed: old.serverSeed,
+    serverSeedHash: old.serverSeedHash,
+    clientSeed: old.clientSeed,
+    nonce: old.nonce,
+    createdAt: old.createdAt,
+    revealedAt: new Date(now).toISOString(),
+  };
+
+  // 已公开的种子全部保留，删掉后用它抽的卡就没法再验证了
+  // 没用来抽过卡的种子没有可验证的内容，不记录，反复更换种子也不会越存越多
+  if (old.nonce > 0) fairness.revealed.unshift(revealed);
+  fairness.current = createSeedPair(
+    clientSeed ? clientSeed.trim() : old.clientSeed,
+    now
+  );
+  return revealed;
+}
+
+// ---------- 随机数 ----------
+
+// 一次抽卡对应一个 HMAC-SHA256 结果（32 字节），依次取 4 字节转成 [0, 1)
+// 普通抽卡只用第 1 个数，触发硬保底重抽时用第 2 个
+export function createFairRng(serverSeed, clientSeed, nonce) {
+  const digest = crypto
+    .createHmac("sha256", serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest();
+
+  let offset = 0;
+  return function rng() {
+    if (offset + 4 > digest.length) {
+      throw new Error("Fair RNG exhausted.");
+    }
+    const value = digest.readUInt32BE(offset) / 4294967296;
+    offset += 4;
+    return value;
+  };
+}
+
+// 取出下一次抽卡用的随机数，并把 nonce +1；返回记录里要保存的证明信息
+export function nextFairRoll(fairness) {
+  const { serverSeed, serverSeedHash, clientSeed, nonce } = fairness.current;
+  fairness.current.nonce = nonce + 1;
+  return {
+    rng: createFairRng(serverSeed, clientSeed, nonce),
+    proof: { serverSeedHash, clientSeed, nonce },
+  };
+}
+
+// 给前端：当前 serverSeed 只给哈希
+export function toPublicFairness(fairness) {
+  const { serverSeedHash, clientSeed, nonce, createdAt } = fairness.current;
+  return {
+    current: { serverSeedHash, clientSeed, nonce, createdAt },
+    revealed: fairness.revealed,
+  };
+}
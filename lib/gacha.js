@@ -0,0 +1,245 @@
+// lib/gacha.js
+// 抽卡引擎：掉落表 + 保底；随机数由调用方传入（见 lib/fairness.js）
+
+// ---------- 掉落表 ----------
+// weight 为相对权重（这里按百分比填写），顺序即前端按钮的显示顺序
+// score 为收藏分（排行榜用），越稀有分越高
+export const DROP_TABLE = {
+  version: 1,
+  cost: 3,
+  // 十连：一次抽 count 张，总价 cost（比单抽 10 次便宜）
+  multi: { count: 10, cost: 27 },
+  levels: [
+    {
+      level: "S",
+      score: 200,
+      weight: 0.5,
+      badge: "S",
+      name: "Card S",
+      nameZh: "卡牌 S",
+      image: "./assets/cards/S.jpg",
+    },
+    {
+      level: "A",
+      score: 50,
+      weight: 2,
+      badge: "A",
+      name: "Card A",
+      nameZh: "卡牌 A",
+      image: "./assets/cards/A.jpg",
+    },
+    {
+      level: "B",
+      score: 16,
+      weight: 5,
+      badge: "B",
+      name: "Card B",
+      nameZh: "卡牌 B",
+      image: "./assets/cards/B.jpg",
+    },
+    {
+      level: "C",
+      score: 8,
+      weight: 10,
+      badge: "C",
+      name: "Card C",
+      nameZh: "卡牌 C",
+      image: "./assets/cards/C.jpg",
+    },
+    {
+      level: "D",
+      score: 4,
+      weight: 12.5,
+      badge: "D",
+      name: "Card D",
+      nameZh: "卡牌 D",
+      image: "./assets/cards/D.jpg",
+    },
+    {
+      level: "E",
+      score: 2,
+      weight: 25,
+      badge: "E",
+      name: "Card E",
+      nameZh: "卡牌 E",
+      image: "./assets/cards/E.jpg",
+    },
+    {
+      level: "F",
+      score: 1,
+      weight: 25,
+      badge: "F",
+      name: "Card F",
+      nameZh: "卡牌 F",
+      image: "./assets/cards/F.jpg",
+    },
+    {
+      level: "NONE",
+      score: 0,
+      weight: 20,
+      badge: "No",
+      name: "No Prize",
+      nameZh: "未中奖",
+      image: "./assets/cards/NONE.jpg",
+    },
+  ],
+};
+
+// ---------- 合成 ----------
+// count 张 from 合成 1 张 to；S / A 只能抽到，不能合成
+export const CRAFT_RECIPES = [
+  { id: "F-E", from: "F", count: 5, to: "E" },
+  { id: "E-D", from: "E", count: 5, to: "D" },
+  { id: "D-C", from: "D", count: 5, to: "C" },
+  { id: "C-B", from: "C", count: 5, to: "B" },
+];
+
+export function findRecipe(id, recipes = CRAFT_RECIPES) {
+  return recipes.find((r) => r.id === id) || null;
+}
+
+// ---------- 保底 ----------
+// guarantee：连续 within 次没有抽到 level 及以上，则这一次必定是 level 及以上
+// soft：距离上次抽到 level 超过 start 次后，每次把 level 的权重再加 step（与 weight 同单位）
+export const PITY_CONFIG = {
+  guarantee: { level: "B", within: 10 },
+  soft: { level: "S", start: 50, step: 2 },
+};
+
+export function createPityState() {
+  return { sinceGuarantee: 0, sinceSoft: 0 };
+}
+
+export function getLevelIds(table = DROP_TABLE) {
+  return table.levels.map((l) => l.level);
+}
+
+export function isValidLevel(level, table = DROP_TABLE) {
+  return table.levels.some((l) => l.level === level);
+}
+
+// ---------- 抽卡 ----------
+
+// 把 [0, 1) 的随机数按权重映射到等级
+export function levelFromRoll(roll, table = DROP_TABLE) {
+  const total = totalWeight(table.levels);
+  let acc = 0;
+
+  // 从低稀有度往高累加，与旧版 drawResult() 的阈值顺序一致
+  const ordered = [...table.levels].reverse();
+  for (const l of ordered) {
+    acc += l.weight / total;
+    if (roll < acc) return l.level;
+  }
+  return ordered[ordered.length - 1].level;
+}
+
+export function pickLevel(rng, table = DROP_TABLE) {
+  return levelFromRoll(rng(), table);
+}
+
+// 稀有度排名：表中越靠前越稀有，0 = 最高
+function levelRank(level, table) {
+  return table.levels.findIndex((l) => l.level === level);
+}
+
+function isAtLeast(level, minLevel, table) {
+  return levelRank(level, table) <= levelRank(minLevel, table);
+}
+
+function totalWeight(levels) {
+  return levels.reduce((sum, l) => sum + l.weight, 0);
+}
+
+// 按软保底调整后的掉落表；卡池里权重为 0 的等级（限时卡池可以关掉某些等级）不加权重
+function withSoftPity(table, pity, config) {
+  const { level, start, step } = config.soft;
+  const over = (pity.sinceSoft || 0) + 1 - start;
+  if (over <= 0) return table;
+
+  return {
+    ...table,
+    levels: table.levels.map((l) =>
+      l.level === level && l.weight > 0
+        ? { ...l, weight: l.weight + over * step }
+        : l
+    ),
+  };
+}
+
+// 带保底的一次抽卡：返回结果和更新后的计数，不修改传入的 pity
+export function drawWithPity(
+  rng,
+  pity = createPityState(),
+  table = DROP_TABLE,
+  config = PITY_CONFIG
+) {
+  const adjusted = withSoftPity(table, pity, config);
+  const { level: minLevel, within } = config.guarantee;
+
+  let level = pickLevel(rng, adjusted);
+  let guaranteed = false;
+
+  // 硬保底：只在 minLevel 及以上的等级里按权重重抽
+  // 卡池里这些等级的权重全是 0 时抽不到，不触发保底
+  if (
+    (pity.sinceGuarantee || 0) + 1 >= within &&
+    !isAtLeast(level, minLevel, table)
+  ) {
+    const pool = {
+      ...adjusted,
+      levels: adjusted.levels.filter((l) =>
+        isAtLeast(l.level, minLevel, table)
+      ),
+    };
+    if (totalWeight(pool.levels) > 0) {
+      level = pickLevel(rng, pool);
+      guaranteed = true;
+    }
+  }
+
+  const next = {
+    sinceGuarantee: isAtLeast(level, minLevel, table)
+      ? 0
+      : (pity.sinceGuarantee || 0) + 1,
+    sinceSoft: level === config.soft.level ? 0 : (pity.sinceSoft || 0) + 1,
+  };
+
+  return { level, pity: next, guaranteed };
+}
+
+// 抽 count 张的总价：单抽按 cost，十连按 multi.cost，其它数量不支持
+export function getDrawCost(count, table = DROP_TABLE) {
+  if (count === 1) return table.cost;
+  if (table.multi && count === table.multi.count) return table.multi.cost;
+  return null;
+}
+
+// 给前端展示的保底说明
+export function toPublicPity(config = PITY_CONFIG) {
+  return {
+    guarantee: { ...config.guarantee },
+    soft: { ...config.soft },
+  };
+}
+
+// 给前端用的掉落表：附带百分比与图片路径
+export function toPublicTable(table = DROP_TABLE) {
+  const total = totalWeight(table.levels);
+  return {
+    version: table.version,
+    cost: table.cost,
+    multi: table.multi ? { ...table.multi } : null,
+    levels: table.levels.map((l) => ({
+      level: l.level,
+      badge: l.badge,
+      name: l.name,
+      nameZh: l.nameZh,
+      image: l.image,
+      score: l.score,
+      // weight 用于在浏览器里复算抽卡结果（verify.html）
+      weight: l.weight,
+      rate: l.weight / total,
+    })),
+  };
+}
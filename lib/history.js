@@ -0,0 +1,155 @@
+// lib/history.js
+// 抽卡记录：state.cards 中每一张卡都是一条记录，而不是单纯的等级字符串
+import crypto from "crypto";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// { id, level, drawnAt, cost, tableVersion, batchId, bannerId?, fair }
+// batchId 相同的记录来自同一次抽卡请求（例如同一次十连）
+// bannerId：从限时卡池抽到的卡才有
+// fair：{ serverSeedHash, clientSeed, nonce, pity }，pity 为这一抽之前的保底计数，用于复算
+export function createDrawRecord({
+  level,
+  cost,
+  tableVersion,
+  batchId,
+  bannerId = null,
+  fair = null,
+  at = new Date(),
+}) {
+  const record = {
+    id: crypto.randomUUID(),
+    level,
+    drawnAt: at.toISOString(),
+    cost,
+    tableVersion,
+    batchId,
+  };
+  if (bannerId) record.bannerId = bannerId;
+  if (fair) record.fair = fair;
+  return record;
+}
+
+// 合成得到的卡：batchId 即这次合成的 id，inputs 为消耗掉的卡牌 id
+export function createCraftRecord({
+  level,
+  tableVersion,
+  craftId,
+  inputs,
+  at = new Date(),
+}) {
+  return {
+    id: crypto.randomUUID(),
+    level,
+    drawnAt: at.toISOString(),
+    cost: 0,
+    tableVersion,
+    batchId: craftId,
+    source: "craft",
+    inputs,
+  };
+}
+
+// 交易得到的卡：batchId 即交易 id，from 为原持有者
+export function createTradeRecord({
+  level,
+  tableVersion,
+  tradeId,
+  from,
+  at = new Date(),
+}) {
+  return {
+    id: crypto.randomUUID(),
+    level,
+    drawnAt: at.toISOString(),
+    cost: 0,
+    tableVersion,
+    batchId: tradeId,
+    source: "trade",
+    from,
+  };
+}
+
+export function createBatchId() {
+  return crypto.randomUUID();
+}
+
+// 旧数据：cards 是 ["S", "NONE", ...]，转换成记录（时间和掉落表版本未知）
+export function migrateCards(state, defaultCost) {
+  if (!Array.isArray(state.cards)) {
+    state.cards = [];
+    return false;
+  }
+
+  let changed = false;
+  state.cards = state.cards.map((c) => {
+    if (typeof c !== "string") return c;
+    changed = true;
+    return {
+      id: crypto.randomUUID(),
+      level: c,
+      drawnAt: null,
+      cost: defaultCost,
+      tableVersion: null,
+      batchId: null,
+    };
+  });
+  return changed;
+}
+
+// 当前持有的卡：合成或交易出去的卡会带上 consumedAt，但仍保留在记录里
+export function ownedCards(cards) {
+  return (cards || []).filter((c) => !c.consumedAt);
+}
+
+// 评论资格：记录里出现过该等级（包括已合成 / 交易出去的）即视为拥有过
+// ownedSince 为最早一条有时间的记录；copies 为当前仍持有的张数
+export function getLevelOwnership(cards, level) {
+  const records = (cards || []).filter((c) => c.level === level);
+  const times = records
+    .map((c) => (c.drawnAt ? new Date(c.drawnAt).getTime() : NaN))
+    .filter(Number.isFinite);
+  return {
+    owned: records.length > 0,
+    ownedSince: times.length
+      ? new Date(Math.min(...times)).toISOString()
+      : null,
+    copies: records.filter((c) => !c.consumedAt).length,
+  };
+}
+
+export function recentLevels(cards, count = 3) {
+  return ownedCards(cards)
+    .slice(-count)
+    .map((c) => c.level);
+}
+
+// 最新的在前；可按等级、时间段筛选，offset / limit 分页
+export function queryDraws(cards, { level, from, to, offset, limit } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const filtered = (cards || [])
+    .filter((c) => !level || c.level === level)
+    .filter((c) => {
+      if (fromTime === null && toTime === null) return true;
+      if (!c.drawnAt) return false;
+      const t = new Date(c.drawnAt).getTime();
+      if (fromTime !== null && t < fromTime) return false;
+      if (toTime !== null && t > toTime) return false;
+      return true;
+    })
+    .reverse();
+
+  const start = Math.max(0, Math.floor(Number(offset) || 0));
+  const size = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Math.floor(Number(limit) || DEFAULT_PAGE_SIZE))
+  );
+  const draws = filtered.slice(start, start + size);
+  const nextOffset =
+    start + draws.length < filtered.length ? start + draws.length : null;
+
+  return { draws, total: filtered.length, nextOffset };
+}
@@ -0,0 +1,181 @@
+// lib/leaderboard.js
+// 排行榜：全部从服务端存储的 state（累计时间、每日时间、抽卡记录）计算
+import { DROP_TABLE } from "./gacha.js";
+import { ownedCards } from "./history.js";
+
+// time：在线时间；collection：持有卡牌的收藏分；luck：抽到 S / A 的次数
+// streak：连续活跃（daily 窗口按天，weekly 窗口按周，all 为历史最长连续天数）
+export const LEADERBOARD_METRICS = ["time", "collection", "luck", "streak"];
+export const LEADERBOARD_WINDOWS = ["all", "weekly", "daily"];
+
+export const DEFAULT_LEADERBOARD_SIZE = 10;
+export const MAX_LEADERBOARD_SIZE = 50;
+
+const LUCKY_LEVELS = ["S", "A"];
+// state.dailySeconds 只保留最近这么多天
+const MAX_ACTIVITY_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- 日期 ----------
+// 统一使用服务器的 UTC 日期，周一为一周的第一天
+
+export function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function startOfDay(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function startOfWeek(now) {
+  const day = startOfDay(now);
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return day - weekday * DAY_MS;
+}
+
+// 窗口起点（毫秒）；all 返回 null
+export function windowStart(window, now = Date.now()) {
+  if (window === "daily") return startOfDay(now);
+  if (window === "weekly") return startOfWeek(now);
+  return null;
+}
+
+// ---------- 每日活跃时间 ----------
+
+// 心跳里新增的秒数记到当天：{ "2024-05-01": 360, ... }
+export function addDailySeconds(state, seconds, now = Date.now()) {
+  if (!(seconds > 0)) return;
+  if (!state.dailySeconds || typeof state.dailySeconds !== "object") {
+    state.dailySeconds = {};
+  }
+
+  const key = dayKey(now);
+  state.dailySeconds[key] = (state.dailySeconds[key] || 0) + seconds;
+
+  const oldest = dayKey(startOfDay(now) - (MAX_ACTIVITY_DAYS - 1) * DAY_MS);
+  for (const k of Object.keys(state.dailySeconds)) {
+    if (k < oldest) delete state.dailySeconds[k];
+  }
+}
+
+function activeDays(state) {
+  return Object.entries(state.dailySeconds || {})
+    .filter(([, seconds]) => seconds > 0)
+    .map(([key]) => Date.parse(`${key}T00:00:00Z`));
+}
+
+// 截至今天的连续活跃单位数；今天还没活跃时从上一个单位开始算
+function currentRun(starts, unitStart, step, now) {
+  const set = new Set(starts.map(unitStart));
+  let cursor = unitStart(now);
+  if (!set.has(cursor)) cursor -= step;
+
+  let run = 0;
+  while (set.has(cursor)) {
+    run += 1;
+    cursor -= step;
+  }
+  return run;
+}
+
+function longestDailyRun(days) {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  sorted.forEach((day, i) => {
+    run = i > 0 && day - sorted[i - 1] === DAY_MS ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+export function getStreaks(state, now = Date.now()) {
+  const days = activeDays(state);
+  return {
+    daily: currentRun(days, startOfDay, DAY_MS, now),
+    weekly: currentRun(days, startOfWeek, 7 * DAY_MS, now),
+    longest: longestDailyRun(days),
+  };
+}
+
+// ---------- 指标 ----------
+
+function inWindow(card, since) {
+  if (since === null) return true;
+  return !!card.drawnAt && new Date(card.drawnAt).getTime() >= since;
+}
+
+function activeSeconds(state, since) {
+  if (since === null) return state.totalSeconds || 0;
+  const from = dayKey(since);
+  return Object.entries(state.dailySeconds || {})
+    .filter(([key]) => key >= from)
+    .reduce((sum, [, seconds]) => sum + seconds, 0);
+}
+
+export function getMetricValue(
+  state,
+  metric,
+  window,
+  now = Date.now(),
+  table = DROP_TABLE
+) {
+  const since = windowStart(window, now);
+  const cards = state.cards || [];
+
+  if (metric === "time") return activeSeconds(state, since);
+
+  if (metric === "collection") {
+    return ownedCards(cards)
+      .filter((c) => inWindow(c, since))
+      .reduce((sum, c) => {
+        const info = table.levels.find((l) => l.level === c.level);
+        return sum + (info?.score || 0);
+      }, 0);
+  }
+
+  // 只统计真正抽到的（合成、交易得到的不算），之后用掉了也算
+  if (metric === "luck") {
+    return cards.filter(
+      (c) => !c.source && LUCKY_LEVELS.includes(c.level) && inWindow(c, since)
+    ).length;
+  }
+
+  if (metric === "streak") {
+    const streaks = getStreaks(state, now);
+    if (window === "daily") return streaks.daily;
+    if (window === "weekly") return streaks.weekly;
+    return streaks.longest;
+  }
+
+  return 0;
+}
+
+// 设置了 hideCoins 的玩家不上榜；数值为 0 的不显示
+// 同分按用户名排序，保证结果稳定
+export function buildLeaderboard(
+  users,
+  { metric, window, limit = DEFAULT_LEADERBOARD_SIZE, now = Date.now() }
+) {
+  const entries = (users || [])
+    .filter((u) => !u.preferences?.hideCoins)
+    .map((u) => ({
+      username: u.username,
+      value: getMetricValue(u.state || {}, metric, window, now),
+    }))
+    .filter((e) => e.value > 0)
+    .sort(
+      (a, b) =>
+        b.value - a.value ||
+        String(a.username).localeCompare(String(b.username))
+    )
+    .slice(0, limit);
+
+  // 并列名次：与前一名同分则共享名次
+  entries.forEach((e, i) => {
+    const prev = entries[i - 1];
+    e.rank = prev && prev.value === e.value ? prev.rank : i + 1;
+  });
+  return entries;
+}
@@ -0,0 +1,223 @@
+// lib/moderation.js
+// 评论审核：敏感词过滤、举报、发帖频率限制、禁言，以及审核日志
+import crypto from "crypto";
+
+// visible：正常显示；pending：等待管理员处理（敏感词或举报过多）；hidden：管理员隐藏
+export const REVIEW_STATUSES = ["visible", "pending", "hidden"];
+
+// 同一条评论被这么多人举报后自动转入待审核
+export const REPORT_HOLD_THRESHOLD = 3;
+export const MAX_REPORT_REASON_LENGTH = 200;
+
+// 发帖频率：两次之间至少间隔 MIN_INTERVAL，窗口内最多 MAX_PER_WINDOW 条
+export const POST_MIN_INTERVAL_MS = 30 * 1000;
+export const POST_WINDOW_MS = 60 * 60 * 1000;
+export const POST_MAX_PER_WINDOW = 10;
+
+export const DEFAULT_MUTE_MINUTES = 24 * 60;
+
+// 命中任一词的内容先扣下，由管理员决定是否放行
+// 英文按单词边界匹配，中文按子串匹配
+const FLAGGED_WORDS_EN = [
+  "fuck",
+  "shit",
+  "bitch",
+  "asshole",
+  "bastard",
+  "idiot",
+  "retard",
+  "scam",
+];
+const FLAGGED_WORDS_ZH = [
+  "傻逼",
+  "煞笔",
+  "操你",
+  "他妈的",
+  "妈的",
+  "去死",
+  "垃圾游戏",
+  "骗子",
+  "代充",
+];
+
+const EN_PATTERN = new RegExp(`\\b(${FLAGGED_WORDS_EN.join("|")})\\w*`, "gi");
+
+// ---------- 敏感词 ----------
+
+// 返回命中的词（去重）；中文先去掉空白和常见分隔符，防止 "傻 逼" 这类绕过
+export function findFlaggedWords(text) {
+  const source = String(text || "");
+  const found = new Set();
+
+  for (const match of source.matchAll(EN_PATTERN)) {
+    found.add(match[1].toLowerCase());
+  }
+
+  const compact = source.replace(/[\s.,_\-*·。，、]/g, "");
+  for (const word of FLAGGED_WORDS_ZH) {
+    if (compact.includes(word)) found.add(word);
+  }
+  return [...found];
+}
+
+// ---------- 可见性 ----------
+
+// 旧评论没有 status，按 visible 处理
+export function getReviewStatus(review) {
+  return review.status || "visible";
+}
+
+export function isReviewVisible(review) {
+  return getReviewStatus(review) === "visible";
+}
+
+// ---------- 频率限制 ----------
+
+// user.moderation = { postedAt: [...], mutedUntil, mutedReason }；不在 state 里，Reset 不影响
+function getModeration(user) {
+  if (!user.moderation) user.moderation = { postedAt: [] };
+  if (!Array.isArray(user.moderation.postedAt)) user.moderation.postedAt = [];
+  return user.moderation;
+}
+
+// 超出限制时返回错误信息，否则返回 null
+export function checkPostRate(user, now = Date.now()) {
+  const times = getModeration(user)
+    .postedAt.map((t) => new Date(t).getTime())
+    .filter((t) => now - t < POST_WINDOW_MS);
+
+  if (times.length && now - Math.max(...times) < POST_MIN_INTERVAL_MS) {
+    return "You're posting too fast. Please wait a moment.";
+  }
+  if (times.length >= POST_MAX_PER_WINDOW) {
+    return "Too many posts. Please try again later.";
+  }
+  return null;
+}
+
+export function recordPost(user, now = Date.now()) {
+  const moderation = getModeration(user);
+  moderation.postedAt = moderation.postedAt
+    .filter((t) => now - new Date(t).getTime() < POST_WINDOW_MS)
+    .concat(new Date(now).toISOString());
+}
+
+// ---------- 禁言 ----------
+
+export function isMuted(user, now = Date.now()) {
+  const until = user.moderation?.mutedUntil;
+  return !!until && new Date(until).getTime() > now;
+}
+
+export function muteUser(user, { minutes, reason }, now = Date.now()) {
+  const moderation = getModeration(user);
+  moderation.mutedUntil = new Date(now + minutes * 60 * 1000).toISOString();
+  moderation.mutedReason = reason || null;
+}
+
+export function unmuteUser(user) {
+  const moderation = getModeration(user);
+  moderation.mutedUntil = null;
+  moderation.mutedReason = null;
+}
+
+// ---------- 举报 ----------
+
+// 每人对同一条评论只能举报一次；返回 { error } 或 { held }（是否因此转入待审核）
+export function addReport(review, username, reason, now = Date.now()) {
+  if (!Array.isArray(review.reports)) review.reports = [];
+  if (review.reports.some((r) => r.username === username)) {
+    return { error: "You already reported this review." };
+  }
+
+  review.reports.push({
+    username,
+    reason: String(reason || "")
+      .trim()
+      .slice(0, MAX_REPORT_REASON_LENGTH),
+    createdAt: new Date(now).toISOString(),
+  });
+
+  const open = review.reports.filter((r) => !r.resolvedAt).length;
+  const held = isReviewVisible(review) && open >= REPORT_HOLD_THRESHOLD;
+  if (held) review.status = "pending";
+  return { held };
+}
+
+// 管理员处理后，之前的举报都算已处理
+export function resolveReports(review, now = Date.now()) {
+  for (const report of review.reports || []) {
+    if (!report.resolvedAt) report.resolvedAt = new Date(now).toISOString();
+  }
+}
+
+export function getOpenReports(review) {
+  return (review.reports || []).filter((r) => !r.resolvedAt);
+}
+
+// ---------- 审核队列 ----------
+
+// 待审核的评论和回复，以及仍在显示但有未处理举报的评论
+export function getModerationQueue(reviews) {
+  const items = [];
+  for (const review of reviews || []) {
+    if (
+      getReviewStatus(review) === "pending" ||
+      getOpenReports(review).length
+    ) {
+      items.push(toModerationItem(review));
+    }
+    for (const reply of review.replies || []) {
+      if (getReviewStatus(reply) === "pending") {
+        items.push(toModerationItem(reply, review));
+      }
+    }
+  }
+  return items.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// entry 为评论或回复；回复时 parent 为所属评论，replyTo 为评论 id
+export function toModerationItem(entry, parent = null) {
+  return {
+    id: entry.id,
+    replyTo: parent ? parent.id : null,
+    level: (parent || entry).level,
+    username: entry.username,
+    text: entry.text,
+    rating: parent ? null : (entry.rating ?? null),
+    createdAt: entry.createdAt,
+    status: getReviewStatus(entry),
+    flaggedWords: entry.flaggedWords || [],
+    reports: getOpenReports(entry),
+  };
+}
+
+// ---------- 审核日志 ----------
+
+// actor：管理员用户名，自动处理时为 "system"；处理回复时 replyId 不为空
+// events 为存储层的 events（见 lib/storage.js）
+export function logModeration(
+  events,
+  {
+    actor,
+    action,
+    reviewId = null,
+    replyId = null,
+    target = null,
+    detail = null,
+  },
+  now = Date.now()
+) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date(now).toISOString(),
+    actor,
+    action,
+    reviewId,
+    replyId,
+    target,
+    detail,
+  };
+  events.append("moderation", entry);
+  return entry;
+}
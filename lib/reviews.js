@@ -0,0 +1,256 @@
+// lib/reviews.js
+// 卡牌评论：1–5 星评分、编辑 / 删除、按等级汇总平均分、游标分页
+// 只有拥有过该等级卡牌的玩家才能评论，评论里记下 ownedSince
+// 评论下面可以点「有帮助」和回复（只有一层，回复不能再被回复）
+import crypto from "crypto";
+import { getLevelOwnership } from "./history.js";
+import { isReviewVisible } from "./moderation.js";
+
+export const MAX_REVIEW_LENGTH = 500;
+export const REVIEW_SORTS = ["newest", "highest", "helpful"];
+export const DEFAULT_REVIEW_PAGE_SIZE = 10;
+export const MAX_REVIEW_PAGE_SIZE = 50;
+
+// ---------- 校验 ----------
+
+// 合法返回 1–5 的整数，否则返回 null
+export function normalizeRating(value) {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+}
+
+export function normalizeReviewText(value) {
+  const text = String(value ?? "").trim();
+  return text && text.length <= MAX_REVIEW_LENGTH ? text : null;
+}
+
+// ---------- 创建 / 修改 ----------
+
+// ownedSince：提交时从抽卡记录里查到的最早拥有时间（旧记录没有时间时为 null）
+// flaggedWords：命中敏感词时不为空，评论先进入待审核（见 lib/moderation.js）
+export function createReview(
+  { level, username, text, rating, ownedSince = null, flaggedWords = [] },
+  now = Date.now()
+) {
+  return {
+    id: crypto.randomUUID(),
+    level,
+    username,
+    text,
+    rating,
+    status: flaggedWords.length ? "pending" : "visible",
+    flaggedWords,
+    reports: [],
+    helpful: [],
+    replies: [],
+    verified: true,
+    ownedSince,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: null,
+  };
+}
+
+// changes 里只包含要修改的字段（已校验过）
+export function updateReview(review, changes, now = Date.now()) {
+  if (changes.text !== undefined) review.text = changes.text;
+  if (changes.rating !== undefined) review.rating = changes.rating;
+  review.updatedAt = new Date(now).toISOString();
+  return review;
+}
+
+// 旧评论没有 id 和评分：补上 id，评分留空（不计入平均分）
+export function migrateReviews(reviews) {
+  let migrated = false;
+  for (const review of reviews || []) {
+    if (!review.id) {
+      review.id = crypto.randomUUID();
+      migrated = true;
+    }
+    if (review.rating === undefined) {
+      review.rating = null;
+      migrated = true;
+    }
+  }
+  return migrated;
+}
+
+// ---------- 有帮助 / 回复 ----------
+
+// 每人一票，再点一次取消；返回 { error } 或 { voted }
+export function toggleHelpful(review, username) {
+  if (review.username === username) {
+    return { error: "You can't vote on your own review." };
+  }
+  if (!Array.isArray(review.helpful)) review.helpful = [];
+
+  const voted = !review.helpful.includes(username);
+  review.helpful = voted
+    ? [...review.helpful, username]
+    : review.helpful.filter((u) => u !== username);
+  return { voted };
+}
+
+// 回复和评论走同样的校验：文本长度、敏感词、发帖频率（由调用方检查）
+export function createReply(
+  { username, text, flaggedWords = [] },
+  now = Date.now()
+) {
+  return {
+    id: crypto.randomUUID(),
+    username,
+    text,
+    status: flaggedWords.length ? "pending" : "visible",
+    flaggedWords,
+    createdAt: new Date(now).toISOString(),
+  };
+}
+
+export function addReply(review, reply) {
+  if (!Array.isArray(review.replies)) review.replies = [];
+  review.replies.push(reply);
+}
+
+export function findReply(review, replyId) {
+  return (review.replies || []).find((r) => r.id === replyId);
+}
+
+export function removeReply(review, replyId) {
+  review.replies = (review.replies || []).filter((r) => r.id !== replyId);
+}
+
+export function toPublicReply(reply) {
+  return {
+    id: reply.id,
+    username: reply.username,
+    text: reply.text,
+    createdAt: reply.createdAt,
+  };
+}
+
+// ---------- 汇总 ----------
+
+// { A: { average: 4.5, count: 2 }, ... }；只统计有评分的评论
+export function getRatingSummary(reviews) {
+  const sums = {};
+  for (const review of reviews || []) {
+    if (!review.rating) continue;
+    const entry = (sums[review.level] ||= { total: 0, count: 0 });
+    entry.total += review.rating;
+    entry.count += 1;
+  }
+
+  const summary = {};
+  for (const [level, { total, count }] of Object.entries(sums)) {
+    summary[level] = { average: Math.round((total / count) * 10) / 10, count };
+  }
+  return summary;
+}
+
+// ---------- 排序与分页 ----------
+
+export function getHelpfulCount(review) {
+  return Array.isArray(review.helpful) ? review.helpful.length : 0;
+}
+
+// 排序键：全部按降序比较，最后用 createdAt 和 id 保证顺序唯一
+function sortKey(review, sort) {
+  const time = new Date(review.createdAt).getTime() || 0;
+  if (sort === "highest") return [review.rating || 0, time, review.id];
+  if (sort === "helpful") return [getHelpfulCount(review), time, review.id];
+  return [time, review.id];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    return a[i] > b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// 游标就是上一页最后一条的排序键，base64url 编码
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const expected = sortKey({ createdAt: 0, id: "" }, sort);
+    if (
+      !Array.isArray(key) ||
+      key.length !== expected.length ||
+      key.some((v, i) => typeof v !== typeof expected[i])
+    ) {
+      return null;
+    }
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+// 返回 { reviews, nextCursor }；游标不合法时返回 { error }
+// findUser(username) 用来取评论者当前的持卡数和重置时间；viewer 为当前登录的用户名
+export function queryReviews(
+  reviews,
+  { level, sort, cursor, limit, findUser = () => null, viewer = null } = {}
+) {
+  const order = REVIEW_SORTS.includes(sort) ? sort : "newest";
+  const size = Math.min(
+    MAX_REVIEW_PAGE_SIZE,
+    Math.max(1, Math.floor(Number(limit) || DEFAULT_REVIEW_PAGE_SIZE))
+  );
+
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(String(cursor), order);
+    if (!after) return { error: "Invalid cursor." };
+  }
+
+  const sorted = (reviews || [])
+    .filter((r) => !level || r.level === level)
+    .map((r) => ({ review: r, key: sortKey(r, order) }))
+    .filter(({ key }) => !after || compareKeys(key, after) > 0)
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  const page = sorted.slice(0, size);
+  const nextCursor =
+    sorted.length > size ? encodeCursor(page[page.length - 1].key) : null;
+
+  return {
+    sort: order,
+    reviews: page.map(({ review }) =>
+      toPublicReview(review, findUser(review.username), viewer)
+    ),
+    nextCursor,
+  };
+}
+
+// 评论者在写评论之后重置过账号：之前的持卡记录已经不在了，需要标出来
+export function isReviewerReset(review, reviewer) {
+  if (!reviewer?.resetAt) return false;
+  return new Date(reviewer.resetAt) > new Date(review.createdAt);
+}
+
+// 旧评论（没有持有校验）verified 为 false；votedHelpful 表示 viewer 是否点过「有帮助」
+export function toPublicReview(review, reviewer = null, viewer = null) {
+  return {
+    id: review.id,
+    level: review.level,
+    username: review.username,
+    text: review.text,
+    rating: review.rating ?? null,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt || null,
+    helpfulCount: getHelpfulCount(review),
+    votedHelpful: !!viewer && (review.helpful || []).includes(viewer),
+    replies: (review.replies || []).filter(isReviewVisible).map(toPublicReply),
+    verified: !!review.verified,
+    ownedSince: review.ownedSince || null,
+    copies: reviewer
+      ? getLevelOwnership(reviewer.state?.cards, review.level).copies
+      : 0,
+    reviewerReset: isReviewerReset(review, reviewer),
+  };
+}
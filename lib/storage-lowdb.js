@@ -0,0 +1,281 @@
+// lib/storage-lowdb.js
+// lowdb 适配器：所有数据在一个 db.json 里，有变化时整份写回（开发用，接口见 lib/storage.js）
+// 先写到同目录的临时文件并刷到磁盘，再 rename 覆盖 db.json：中途崩溃时 db.json 仍是上一份完整的数据
+import fs from "fs/promises";
+import path from "path";
+import { Low } from "lowdb";
+import { DROP_TABLE } from "./gacha.js";
+import { migrateCards } from "./history.js";
+import { migrateReviews } from "./reviews.js";
+import { withoutCards } from "./storage.js";
+
+// ---------- db.json 格式 ----------
+
+export const DEFAULT_DATA = {
+  totalTime: 0,
+  users: [],
+  reviews: [],
+  sessions: [],
+  trades: [],
+  banners: [],
+  moderationLog: [],
+};
+
+export function createDefaultData() {
+  return structuredClone(DEFAULT_DATA);
+}
+
+// 旧 db.json 可能缺少 reviews / sessions / trades / banners / moderationLog 等字段
+export function fillDefaults(data) {
+  for (const [key, value] of Object.entries(DEFAULT_DATA)) {
+    if (data[key] === undefined) data[key] = structuredClone(value);
+  }
+  return data;
+}
+
+// 旧格式的卡牌（等级字符串）和评论（没有 id）转换成现在的格式；有改动时返回 true
+// 导入 SQLite 之前也要先转换，否则没法按 id 存
+export function migrateLegacyData(data) {
+  let migrated = false;
+  for (const user of data.users) {
+    if (user.state && migrateCards(user.state, DROP_TABLE.cost)) {
+      migrated = true;
+    }
+  }
+  if (migrateReviews(data.reviews)) migrated = true;
+  return migrated;
+}
+
+// 事件种类 -> db.json 里的数组
+const EVENT_LOGS = { moderation: "moderationLog" };
+
+// ---------- 文件 ----------
+
+function createAtomicJSONFile(file) {
+  const tempFile = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.tmp`
+  );
+
+  return {
+    async read() {
+      try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    // 调用方（下面的写入队列）保证同一时间只有一次 write
+    async write(data) {
+      const handle = await fs.open(tempFile, "w");
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, file);
+    },
+  };
+}
+
+// ---------- 适配器 ----------
+
+export async function createLowdbAdapter(file) {
+  const db = new Low(createAtomicJSONFile(file), createDefaultData());
+  await db.read();
+  const data = fillDefaults(db.data);
+
+  // 写入排队执行；还没开始的那次写入会带上之后的所有改动，连续的修改合并成一次写文件
+  let running = Promise.resolve();
+  let pending = null;
+  let depth = 0;
+  let dirty = false;
+
+  function scheduleWrite() {
+    if (!pending) {
+      pending = running.then(() => {
+        pending = null;
+        dirty = false;
+        return db.write();
+      });
+      running = pending.catch(() => {});
+    }
+    return pending;
+  }
+
+  // 事务外的单次修改直接排队写入；事务里的等事务结束再写
+  // 事务外没有调用方等这次写入，失败时只能在这里记日志，改动留在内存里随下一次写入保存
+  function changed() {
+    dirty = true;
+    if (!depth) {
+      scheduleWrite().catch((err) => {
+        console.error(`Failed to write ${file}:`, err);
+      });
+    }
+  }
+
+  const clone = (value) => structuredClone(value);
+
+  function findUserRow(username) {
+    return data.users.find((u) => u.username === username);
+  }
+
+  function upsert(list, key, row) {
+    const index = list.findIndex((r) => r[key] === row[key]);
+    if (index >= 0) list[index] = clone(row);
+    else list.push(clone(row));
+    changed();
+  }
+
+  function remove(name, key, value) {
+    const before = data[name].length;
+    data[name] = data[name].filter((r) => r[key] !== value);
+    if (data[name].length !== before) changed();
+  }
+
+  if (migrateLegacyData(data)) await scheduleWrite();
+
+  return {
+    meta: {
+      get(key) {
+        return clone(data[key]);
+      },
+      set(key, value) {
+        data[key] = clone(value);
+        changed();
+      },
+    },
+
+    users: {
+      list() {
+        return data.users.map((u) => clone(withoutCards(u)));
+      },
+      // 抽卡记录由 draws 单独维护，这里保留文件里原有的
+      save(user) {
+        const row = clone(withoutCards(user));
+        const existing = findUserRow(user.username);
+        if (row.state) row.state.cards = existing?.state?.cards || [];
+        upsert(data.users, "username", row);
+      },
+    },
+
+    draws: {
+      listByUser(username) {
+        return clone(findUserRow(username)?.state?.cards || []);
+      },
+      // from / to 为时间字符串，只返回 drawnAt 在范围内的记录
+      list({ from, to } = {}) {
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+        return data.users.flatMap((u) =>
+          (u.state?.cards || [])
+            .filter((c) => {
+              if (fromTime === null && toTime === null) return true;
+              if (!c.drawnAt) return false;
+              const t = new Date(c.drawnAt).getTime();
+              return (
+                (fromTime === null || t >= fromTime) &&
+                (toTime === null || t <= toTime)
+              );
+            })
+            .map(clone)
+        );
+      },
+      save(username, records) {
+        const user = findUserRow(username);
+        if (!user?.state) return;
+        if (!Array.isArray(user.state.cards)) user.state.cards = [];
+        for (const record of records) upsert(user.state.cards, "id", record);
+      },
+    },
+
+    sessions: {
+      get(tokenHash) {
+        const session = data.sessions.find((s) => s.tokenHash === tokenHash);
+        return session ? clone(session) : null;
+      },
+      save(session) {
+        upsert(data.sessions, "tokenHash", session);
+      },
+      remove(tokenHash) {
+        remove("sessions", "tokenHash", tokenHash);
+      },
+      removeExpired(now) {
+        const before = data.sessions.length;
+        data.sessions = data.sessions.filter((s) => s.expiresAt > now);
+        if (data.sessions.length !== before) changed();
+      },
+    },
+
+    reviews: {
+      get(id) {
+        const review = data.reviews.find((r) => r.id === id);
+        return review ? clone(review) : null;
+      },
+      list({ level, username } = {}) {
+        return data.reviews
+          .filter((r) => !level || r.level === level)
+          .filter((r) => !username || r.username === username)
+          .map(clone);
+      },
+      save(review) {
+        upsert(data.reviews, "id", review);
+      },
+      remove(id) {
+        remove("reviews", "id", id);
+      },
+    },
+
+    events: {
+      append(kind, entry) {
+        data[EVENT_LOGS[kind]].push(clone(entry));
+        changed();
+      },
+      // 最新的在前
+      list(kind, { limit } = {}) {
+        const log = data[EVENT_LOGS[kind]];
+        return log
+          .slice(limit ? -limit : 0)
+          .reverse()
+          .map(clone);
+      },
+    },
+
+    trades: {
+      list() {
+        return data.trades.map(clone);
+      },
+      save(trade) {
+        upsert(data.trades, "id", trade);
+      },
+    },
+
+    banners: {
+      list() {
+        return data.banners.map(clone);
+      },
+      save(banner) {
+        upsert(data.banners, "id", banner);
+      },
+    },
+
+    // JSON 文件没法只改几行：事务里的改动先改内存，结束后整份写一次；出错时不会回滚内存里的改动
+    async transaction(fn) {
+      depth += 1;
+      let result;
+      try {
+        result = fn();
+      } finally {
+        depth -= 1;
+      }
+      if (!depth && dirty) await scheduleWrite();
+      return result;
+    },
+
+    async close() {
+      await running;
+    },
+  };
+}
@@ -0,0 +1,287 @@
+// lib/storage-sqlite.js
+// SQLite 适配器（better-sqlite3）：数据库就是一个文件，和服务端在同一个进程里，不需要单独的数据库服务
+// 每个集合一张表，JSON 放在 data 列；查询用到的字段单独成列并建索引（接口见 lib/storage.js）
+// transaction() 里的写入在同一个 SQLite 事务里提交，中途出错整批回滚
+import Database from "better-sqlite3";
+import { withoutCards } from "./storage.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS users (
+  username TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS draws (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  level TEXT,
+  drawn_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS draws_username ON draws (username);
+CREATE INDEX IF NOT EXISTS draws_drawn_at ON draws (drawn_at);
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+CREATE TABLE IF NOT EXISTS reviews (
+  id TEXT PRIMARY KEY,
+  level TEXT NOT NULL,
+  username TEXT NOT NULL,
+  created_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS reviews_level ON reviews (level);
+CREATE INDEX IF NOT EXISTS reviews_username ON reviews (username);
+CREATE TABLE IF NOT EXISTS events (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS events_kind ON events (kind, at);
+CREATE TABLE IF NOT EXISTS records (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
+`;
+
+// 写入都用 ON CONFLICT 更新而不是 REPLACE，这样 rowid 不变，按 rowid 排序就是插入的顺序
+export function createSqliteAdapter(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+
+  // 预编译的语句按 SQL 缓存
+  const statements = new Map();
+  function statement(sql) {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  }
+
+  function rows(sql, params = {}) {
+    return statement(sql)
+      .all(params)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  function row(sql, params = {}) {
+    const found = statement(sql).get(params);
+    return found ? JSON.parse(found.data) : null;
+  }
+
+  function run(sql, params = {}) {
+    statement(sql).run(params);
+  }
+
+  // trades / banners 没有需要单独查询的字段，放在通用的 records 表里
+  function recordCollection(collection) {
+    return {
+      list() {
+        return rows(
+          "SELECT data FROM records WHERE collection = @collection ORDER BY rowid",
+          { collection }
+        );
+      },
+      save(record) {
+        run(
+          `INSERT INTO records (collection, id, data) VALUES (@collection, @id, @data)
+           ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`,
+          { collection, id: record.id, data: JSON.stringify(record) }
+        );
+      },
+    };
+  }
+
+  return {
+    meta: {
+      get(key) {
+        const found = statement("SELECT value FROM meta WHERE key = @key").get({
+          key,
+        });
+        return found ? JSON.parse(found.value) : undefined;
+      },
+      set(key, value) {
+        run(
+          `INSERT INTO meta (key, value) VALUES (@key, @value)
+           ON CONFLICT (key) DO UPDATE SET value = excluded.value`,
+          { key, value: JSON.stringify(value) }
+        );
+      },
+    },
+
+    users: {
+      list() {
+        return rows("SELECT data FROM users ORDER BY rowid");
+      },
+      save(user) {
+        run(
+          `INSERT INTO users (username, data) VALUES (@username, @data)
+           ON CONFLICT (username) DO UPDATE SET data = excluded.data`,
+          { username: user.username, data: JSON.stringify(withoutCards(user)) }
+        );
+      },
+    },
+
+    draws: {
+      listByUser(username) {
+        return rows(
+          "SELECT data FROM draws WHERE username = @username ORDER BY rowid",
+          { username }
+        );
+      },
+      // from / to 为时间字符串，只返回 drawnAt 在范围内的记录（drawn_at 存 ISO 时间，可以按字符串比较）
+      list({ from, to } = {}) {
+        const where = [];
+        const params = {};
+        if (from) {
+          where.push("drawn_at >= @from");
+          params.from = new Date(from).toISOString();
+        }
+        if (to) {
+          where.push("drawn_at <= @to");
+          params.to = new Date(to).toISOString();
+        }
+        return rows(
+          `SELECT data FROM draws ${
+            where.length ? `WHERE ${where.join(" AND ")}` : ""
+          } ORDER BY rowid`,
+          params
+        );
+      },
+      save(username, records) {
+        for (const record of records) {
+          run(
+            `INSERT INTO draws (id, username, level, drawn_at, data)
+             VALUES (@id, @username, @level, @drawnAt, @data)
+             ON CONFLICT (id) DO UPDATE SET username = excluded.username,
+               level = excluded.level, drawn_at = excluded.drawn_at, data = excluded.data`,
+            {
+              id: record.id,
+              username,
+              level: record.level ?? null,
+              drawnAt: record.drawnAt ?? null,
+              data: JSON.stringify(record),
+            }
+          );
+        }
+      },
+    },
+
+    sessions: {
+      get(tokenHash) {
+        return row("SELECT data FROM sessions WHERE token_hash = @tokenHash", {
+          tokenHash,
+        });
+      },
+      save(session) {
+        run(
+          `INSERT INTO sessions (token_hash, username, expires_at, data)
+           VALUES (@tokenHash, @username, @expiresAt, @data)
+           ON CONFLICT (token_hash) DO UPDATE SET username = excluded.username,
+             expires_at = excluded.expires_at, data = excluded.data`,
+          {
+            tokenHash: session.tokenHash,
+            username: session.username,
+            expiresAt: session.expiresAt,
+            data: JSON.stringify(session),
+          }
+        );
+      },
+      remove(tokenHash) {
+        run("DELETE FROM sessions WHERE token_hash = @tokenHash", {
+          tokenHash,
+        });
+      },
+      removeExpired(now) {
+        run("DELETE FROM sessions WHERE expires_at <= @now", { now });
+      },
+    },
+
+    reviews: {
+      get(id) {
+        return row("SELECT data FROM reviews WHERE id = @id", { id });
+      },
+      list({ level, username } = {}) {
+        const where = [];
+        const params = {};
+        if (level) {
+          where.push("level = @level");
+          params.level = level;
+        }
+        if (username) {
+          where.push("username = @username");
+          params.username = username;
+        }
+        return rows(
+          `SELECT data FROM reviews ${
+            where.length ? `WHERE ${where.join(" AND ")}` : ""
+          } ORDER BY rowid`,
+          params
+        );
+      },
+      save(review) {
+        run(
+          `INSERT INTO reviews (id, level, username, created_at, data)
+           VALUES (@id, @level, @username, @createdAt, @data)
+           ON CONFLICT (id) DO UPDATE SET level = excluded.level,
+             username = excluded.username, created_at = excluded.created_at,
+             data = excluded.data`,
+          {
+            id: review.id,
+            level: review.level,
+            username: review.username,
+            createdAt: review.createdAt ?? null,
+            data: JSON.stringify(review),
+          }
+        );
+      },
+      remove(id) {
+        run("DELETE FROM reviews WHERE id = @id", { id });
+      },
+    },
+
+    events: {
+      append(kind, entry) {
+        run(
+          `INSERT INTO events (id, kind, at, data) VALUES (@id, @kind, @at, @data)`,
+          {
+            id: entry.id,
+            kind,
+            at: entry.at ?? null,
+            data: JSON.stringify(entry),
+          }
+        );
+      },
+      // 最新的在前
+      list(kind, { limit } = {}) {
+        return rows(
+          `SELECT data FROM events WHERE kind = @kind
+           ORDER BY at DESC, rowid DESC LIMIT @limit`,
+          { kind, limit: limit || -1 }
+        );
+      },
+    },
+
+    trades: recordCollection("trades"),
+    banners: recordCollection("banners"),
+
+    // better-sqlite3 是同步的：fn 执行完事务就已经提交
+    async transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// lib/storage.js
+// 存储层：server.js 只通过下面这组方法读写数据，数据存到哪里由适配器决定
+//   lowdb  —— 所有数据在一个 db.json 里，开发时方便直接查看（默认）
+//   sqlite —— 单个 SQLite 文件（better-sqlite3，不需要单独的数据库进程），按行读写、查询走索引
+// 通过环境变量 STORAGE=lowdb|sqlite 选择；SQLite 文件默认为 data.sqlite，可用 SQLITE_FILE 指定
+//
+// 两个适配器实现同一组方法；读出来的都是新对象，修改后要调用 save 才会写入：
+//   users     list() / save(user)                          用户行不含抽卡记录
+//   draws     listByUser(username) / list({ from, to })    抽卡记录（state.cards），重置过的也在
+//             save(username, records)
+//   sessions  get(tokenHash) / save(session) / remove(tokenHash) / removeExpired(now)
+//   reviews   get(id) / list({ level, username }) / save(review) / remove(id)   回复在评论里
+//   events    append(kind, entry) / list(kind, { limit })  只追加的事件，目前只有 "moderation"
+//   trades / banners   list() / save(row)
+//   meta      get(key) / set(key, value)                   目前只有 totalTime
+//
+// transaction(fn)：fn 里的写入一起提交，fn 必须是同步函数；返回的 Promise 在写入完成后 resolve
+// 路由只写自己改过的那几行，写入的开销和数据总量无关
+import path from "path";
+
+export const STORAGE_DRIVERS = ["lowdb", "sqlite"];
+
+// 用户行里不放抽卡记录，抽卡记录单独按行存
+export function withoutCards(user) {
+  if (!user.state) return user;
+  const { cards, ...state } = user.state;
+  return { ...user, state };
+}
+
+// better-sqlite3 是原生模块，放在 optionalDependencies 里，只在选用 SQLite 时才加载
+async function loadSqliteAdapter() {
+  try {
+    return await import("./storage-sqlite.js");
+  } catch (err) {
+    if (
+      err.code === "ERR_MODULE_NOT_FOUND" &&
+      /better-sqlite3/.test(err.message)
+    ) {
+      throw new Error(
+        'STORAGE=sqlite needs the optional "better-sqlite3" package. Install it with `npm install better-sqlite3`.'
+      );
+    }
+    throw err;
+  }
+}
+
+// 返回实现了上面接口的存储对象，另外带 driver 和 close()
+export async function openStorage({
+  driver = process.env.STORAGE || "lowdb",
+  dir,
+  jsonFile = path.join(dir, "db.json"),
+  sqliteFile = process.env.SQLITE_FILE || path.join(dir, "data.sqlite"),
+} = {}) {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver "${driver}".`);
+  }
+
+  const store =
+    driver === "sqlite"
+      ? (await loadSqliteAdapter()).createSqliteAdapter(sqliteFile)
+      : await (await import("./storage-lowdb.js")).createLowdbAdapter(jsonFile);
+  return { driver, ...store };
+}
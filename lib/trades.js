@@ -0,0 +1,93 @@
+// lib/trades.js
+// 玩家交易：报价格式校验、过期判定、从库存中挑选要交出的卡
+import crypto from "crypto";
+
+export const TRADE_TTL_MS = 5 * 60 * 1000;
+export const MAX_TRADE_COINS = 10000;
+
+// 一方的报价：{ cards: { F: 2, S: 1 }, coins: 3 }
+// 不合法时返回 null（等级不存在、数量不是正整数等）
+export function normalizeSide(side, isValidLevel) {
+  const cards = {};
+  const rawCards = side?.cards || {};
+  if (typeof rawCards !== "object" || Array.isArray(rawCards)) return null;
+
+  for (const [rawLevel, rawCount] of Object.entries(rawCards)) {
+    const level = String(rawLevel).toUpperCase();
+    const count = Number(rawCount);
+    if (!isValidLevel(level) || !Number.isInteger(count) || count < 0) {
+      return null;
+    }
+    if (count > 0) cards[level] = count;
+  }
+
+  const coins = Number(side?.coins ?? 0);
+  if (!Number.isInteger(coins) || coins < 0 || coins > MAX_TRADE_COINS) {
+    return null;
+  }
+
+  return { cards, coins };
+}
+
+export function isEmptySide(side) {
+  return !side.coins && !Object.keys(side.cards).length;
+}
+
+export function createTrade({ from, to, give, get, counterOf = null, now }) {
+  const at = new Date(now).toISOString();
+  return {
+    id: crypto.randomUUID(),
+    from,
+    to,
+    give,
+    get,
+    counterOf,
+    status: "pending",
+    createdAt: at,
+    updatedAt: at,
+    expiresAt: now + TRADE_TTL_MS,
+    events: [{ at, by: from, action: counterOf ? "counter" : "propose" }],
+  };
+}
+
+export function recordTradeEvent(trade, by, action, now, detail) {
+  const at = new Date(now).toISOString();
+  trade.updatedAt = at;
+  trade.events.push(detail ? { at, by, action, detail } : { at, by, action });
+}
+
+export function isTradeParty(trade, username) {
+  return trade.from === username || trade.to === username;
+}
+
+// 从持有的卡里按等级挑出最早获得的若干张；数量不足时返回 null
+export function pickTradeCards(cards, spec) {
+  const picked = [];
+  for (const [level, count] of Object.entries(spec)) {
+    const matches = (cards || [])
+      .filter((c) => !c.consumedAt && c.level === level)
+      .slice(0, count);
+    if (matches.length < count) return null;
+    picked.push(...matches);
+  }
+  return picked;
+}
+
+// 把到期仍未处理的报价标记为 expired，返回这些报价
+export function expireTrades(trades, now) {
+  const expired = [];
+  for (const trade of trades || []) {
+    if (trade.status === "pending" && trade.expiresAt <= now) {
+      trade.status = "expired";
+      recordTradeEvent(trade, null, "expire", now);
+      expired.push(trade);
+    }
+  }
+  return expired;
+}
+
+// 给前端的报价：不包含内部事件记录
+export function toPublicTrade(trade) {
+  const { events, ...rest } = trade;
+  return rest;
+}
@@ -12,23 +12,34 @@
    =========================================================== */
 
 const BASE_COINS = 2;
-const COIN_INTERVAL = 120;
 const COIN_LIFETIME = 3000;
+// 时间心跳间隔；有效时长和 Collect +1 的出现时间都由服务端根据心跳决定
+const HEARTBEAT_INTERVAL = 5000;
 const FLIP_DURATION = 600;
 const CARD_HOLD_DURATION = 4000;
+const MULTI_FLIP_STAGGER = 180;
 
 // 账号 & 状态
+// 登录状态由 HttpOnly cookie 里的会话维持，前端不保存密码
 let currentUser = null;
-let currentPassword = null;
 let loggedIn = false;
 
-let state = {
-  totalSeconds: 0,
-  coinsSpent: 0,
-  cards: [],
-  coinsClaimed: 0,
-  coinEventsTriggered: 0,
-};
+// 掉落表（来自 /api/gacha/table），加载前使用默认费用
+let dropTable = null;
+let drawCost = 3;
+let multiDraw = null; // { count, cost }
+
+function createEmptyState() {
+  return {
+    totalSeconds: 0,
+    coinsSpent: 0,
+    cards: [],
+    coinsClaimed: 0,
+    coinEventsTriggered: 0,
+  };
+}
+
+let state = createEmptyState();
 
 /* =============================
    DOM 引用
@@ -41,6 +52,7 @@ const authPassword = document.getElementById("authPassword");
 const signupBtn = document.getElementById("signupBtn");
 const loginBtn = document.getElementById("loginBtn");
 const authMessageEl = document.getElementById("authMessage");
+const logoutBtn = document.getElementById("logoutBtn");
 
 // 注册成功规则弹窗
 const signupGuideOverlay = document.getElementById("signupGuideOverlay");
@@ -64,21 +76,85 @@ const globalTimerDisplay = document.getElementById("timerDisplay");
 
 // 抽卡
 const drawBtn = document.getElementById("drawBtn");
+const drawMultiBtn = document.getElementById("drawMultiBtn");
+const drawMultiSub = document.getElementById("drawMultiSub");
 const resetBtn = document.getElementById("resetBtn");
 const flipCard = document.getElementById("flipCard");
 const cardFront = document.getElementById("cardFront");
 const cardBackImg = document.getElementById("cardBack");
+const flipZone = document.querySelector(".flip-zone");
+const multiReveal = document.getElementById("multiReveal");
+const multiRevealGrid = document.getElementById("multiRevealGrid");
+const multiRevealSkip = document.getElementById("multiRevealSkip");
+const multiRevealClose = document.getElementById("multiRevealClose");
 const rarityRow = document.querySelector(".rarity-row");
+const drawCostTag = document.getElementById("drawCostTag");
+const fairInfo = document.getElementById("fairInfo");
+const bannerTabs = document.getElementById("bannerTabs");
+const bannerArt = document.getElementById("bannerArt");
+const bannerArtImg = document.getElementById("bannerArtImg");
+const bannerArtLabel = document.getElementById("bannerArtLabel");
+const drawCostSub = document.getElementById("drawCostSub");
+const pityInfo = document.getElementById("pityInfo");
 
 // Inventory / Log
 const invGrid = document.getElementById("inventory");
+const collectionProgress = document.getElementById("collectionProgress");
+const inventoryViewToggle = document.querySelector(".inventory-view-toggle");
+const craftToggleBtn = document.getElementById("craftToggleBtn");
+const craftPanel = document.getElementById("craftPanel");
 const logBox = document.getElementById("log");
 
+// 抽卡历史
+const historyList = document.getElementById("historyList");
+const historyLevelFilter = document.getElementById("historyLevelFilter");
+const historyMoreBtn = document.getElementById("historyMoreBtn");
+
+// 掉落统计
+const dropStatsChart = document.getElementById("dropStatsChart");
+const dropStatsSummary = document.getElementById("dropStatsSummary");
+const dropStatsFrom = document.getElementById("dropStatsFrom");
+const dropStatsTo = document.getElementById("dropStatsTo");
+const dropStatsClear = document.getElementById("dropStatsClear");
+
 // Collect +1 & 在线用户
 const coinSpawnBtn = document.getElementById("coinSpawnBtn");
 const onlineUsersList = document.getElementById("onlineUsersList");
 const hideCoinsToggle = document.getElementById("toggleHideCoins");
 
+// 成就
+const achievementList = document.getElementById("achievementList");
+const achievementCount = document.getElementById("achievementCount");
+
+// 每日签到
+const checkinOpenBtn = document.getElementById("checkinOpenBtn");
+const checkinModal = document.getElementById("checkinModal");
+const checkinCalendar = document.getElementById("checkinCalendar");
+const checkinInfo = document.getElementById("checkinInfo");
+const checkinClaimBtn = document.getElementById("checkinClaimBtn");
+const checkinTimeZoneBtn = document.getElementById("checkinTimeZoneBtn");
+const checkinModalClose = document.getElementById("checkinModalClose");
+const checkinModalBackdrop = checkinModal
+  ? checkinModal.querySelector(".checkin-modal-backdrop")
+  : null;
+
+// 排行榜
+const leaderboardList = document.getElementById("leaderboardList");
+const leaderboardMetric = document.getElementById("leaderboardMetric");
+const leaderboardWindow = document.getElementById("leaderboardWindow");
+
+// 交易
+const tradeList = document.getElementById("tradeList");
+const tradeModal = document.getElementById("tradeModal");
+const tradeModalTitle = document.getElementById("tradeModalTitle");
+const tradeGiveFields = document.getElementById("tradeGiveFields");
+const tradeGetFields = document.getElementById("tradeGetFields");
+const tradeModalSend = document.getElementById("tradeModalSend");
+const tradeModalClose = document.getElementById("tradeModalClose");
+const tradeModalBackdrop = tradeModal
+  ? tradeModal.querySelector(".trade-modal-backdrop")
+  : null;
+
 // 图片查看 + 评论
 const imageViewer = document.getElementById("imageViewer");
 const imageViewerImg = document.getElementById("imageViewerImg");
@@ -89,11 +165,18 @@ const imageViewerBackdrop = imageViewer
   : null;
 const imageViewerReviewInput = document.getElementById("imageViewerReviewInput");
 const imageViewerReviewSend = document.getElementById("imageViewerReviewSend");
+const imageViewerStars = document.getElementById("imageViewerStars");
+const moderationLink = document.getElementById("moderationLink");
+const leaderBanner = document.getElementById("leaderBanner");
+const leaderBannerText = document.getElementById("leaderBannerText");
+const leaderTakeoverBtn = document.getElementById("leaderTakeoverBtn");
 
 // 按等级查看评论模态
 const reviewModal = document.getElementById("reviewModal");
 const reviewModalTitle = document.getElementById("reviewModalTitle");
 const reviewModalBody = document.getElementById("reviewModalBody");
+const reviewModalSort = document.getElementById("reviewModalSort");
+const reviewModalSummary = document.getElementById("reviewModalSummary");
 const reviewModalClose = document.getElementById("reviewModalClose");
 const reviewModalBackdrop = reviewModal
   ? reviewModal.querySelector(".review-modal-backdrop")
@@ -124,12 +207,28 @@ document.addEventListener("mouseleave", () => {
   pointerInside = false;
 });
 
-function isActiveForTimer() {
+// 用户正在看着本页面（不考虑是不是 leader）
+function isPageActive() {
   if (!loggedIn || document.hidden || !hasFocus) return false;
   if (isTouchDevice) return true;
   return pointerInside;
 }
 
+// 同一账号只有 leader 页面计时，见下方「多窗口」
+function isActiveForTimer() {
+  return isLeaderTab && isPageActive();
+}
+
+// 随心跳一起上报的活跃信号，服务端用同样的规则判定
+function getActivitySignals() {
+  return {
+    focused: hasFocus,
+    visible: !document.hidden,
+    pointer: pointerInside,
+    touch: isTouchDevice,
+  };
+}
+
 /* =============================
    Collect +1 & 在线用户开关
    ============================= */
@@ -157,7 +256,13 @@ let globalSeconds = 0;
    ============================= */
 
 function getAvailableCoins() {
-  return BASE_COINS + (state.coinsClaimed || 0) - (state.coinsSpent || 0);
+  return (
+    BASE_COINS +
+    (state.coinsClaimed || 0) +
+    (state.coinsRewarded || 0) +
+    (state.coinsTraded || 0) -
+    (state.coinsSpent || 0)
+  );
 }
 
 function fmtHMS(s) {
@@ -174,6 +279,34 @@ function log(msg) {
   logBox.prepend(el);
 }
 
+/* ========== 卡牌等级信息（来自掉落表） ========== */
+
+function getLevelInfo(level) {
+  const levels = dropTable ? dropTable.levels : [];
+  return levels.find((l) => l.level === level) || null;
+}
+
+function cardImage(level) {
+  const info = getLevelInfo(level);
+  return info ? info.image : `./assets/cards/${level}.jpg`;
+}
+
+function cardName(level) {
+  const info = getLevelInfo(level);
+  if (info) return info.name;
+  return level === "NONE" ? "No Prize" : `Card ${level}`;
+}
+
+function cardNameZh(level) {
+  const info = getLevelInfo(level);
+  if (info) return info.nameZh;
+  return level === "NONE" ? "未中奖" : `卡牌 ${level}`;
+}
+
+function fmtRate(rate) {
+  return `${parseFloat((rate * 100).toFixed(2))}%`;
+}
+
 function setAuthMessage(msg, isError = true) {
   if (!authMessageEl) return;
   authMessageEl.textContent = msg || "";
@@ -236,13 +369,40 @@ if (signupGuideBackdrop) {
    HTTP 请求封装
    ============================= */
 
-async function postJSON(url, body) {
+// conflict：服务端的 state 已被其他页面修改（409），调用方应重新拉取状态
+function createRequestError(data, status) {
+  const err = new Error(data?.error || `Request failed: ${status}`);
+  err.conflict = !!data?.conflict;
+  return err;
+}
+
+async function requestJSON(method, url, body = {}) {
   const res = await fetch(url, {
-    method: "POST",
+    method,
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
   });
   const data = await res.json().catch(() => ({}));
+  // 会话过期：回到登录界面
+  if (res.status === 401 && loggedIn) {
+    handleSessionExpired();
+  }
+  if (!res.ok) {
+    throw createRequestError(data, res.status);
+  }
+  return data;
+}
+
+async function postJSON(url, body = {}) {
+  return requestJSON("POST", url, body);
+}
+
+async function getJSON(url) {
+  const res = await fetch(url);
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401 && loggedIn) {
+    handleSessionExpired();
+  }
   if (!res.ok) {
     throw new Error(data.error || `Request failed: ${res.status}`);
   }
@@ -257,19 +417,183 @@ async function login(username, password) {
   return postJSON("/auth/login", { username, password });
 }
 
+async function logout() {
+  return postJSON("/auth/logout");
+}
+
+async function restoreSession() {
+  const res = await fetch("/auth/session");
+  if (!res.ok) return null;
+  return res.json();
+}
+
+// 采用服务端返回的状态（totalSeconds 以服务端为准）
+// 乱序到达的旧响应（version 更小）不覆盖已经拿到的新状态
+function applyServerState(next) {
+  if (!next) return;
+  if ((next.version || 0) < (state.version || 0)) return;
+  state = next;
+}
+
+// 心跳只返回 totalSeconds 等几个字段，合并进当前状态；
+// 服务端的 version 更新时说明别的页面改过数据，其余字段也要重新拉取
+function applyHeartbeatState(patch) {
+  if (!patch) return;
+  const version = patch.version || 0;
+  if (version < (state.version || 0)) return;
+  const changed = version > (state.version || 0);
+  state = { ...state, ...patch };
+  if (changed) refreshState();
+}
+
+// 其他页面改过数据（409 冲突）：重新拉取服务端的最新状态
+async function refreshState() {
+  if (!loggedIn) return;
+  try {
+    const data = await getJSON("/api/me/state");
+    applyServerState(data.state);
+  } catch (err) {
+    console.warn("refreshState failed:", err.message);
+    return;
+  }
+  renderInventory();
+  renderStats();
+  loadHistory(true);
+}
+
+// 每个页面一个 id：服务端按页面计算心跳间隔
+const clientId =
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// 上一次心跳以来本页面处于活跃状态的毫秒数，只用来上报和显示
+let pendingActiveMs = 0;
+// 已发出、服务端还没答复的那部分，显示时也要算上，避免计时回跳
+let inFlightActiveMs = 0;
+let heartbeatInFlight = false;
+
+function sendHeartbeat(payload) {
+  if (socket && socket.connected) {
+    return new Promise((resolve, reject) => {
+      socket.emit("heartbeat", payload, (data) => {
+        if (data?.error) reject(createRequestError(data));
+        else resolve(data);
+      });
+    });
+  }
+  return postJSON("/api/heartbeat", payload);
+}
+
+// 时间心跳：上报活跃时长和当前活跃信号，由服务端计入 totalSeconds
 async function syncState() {
-  if (!loggedIn || !currentUser || !currentPassword) return;
+  if (!loggedIn || !currentUser || heartbeatInFlight) return;
+
+  const activeMs = pendingActiveMs;
+  pendingActiveMs = 0;
+  inFlightActiveMs = activeMs;
+  heartbeatInFlight = true;
   try {
-    await postJSON("/api/state", {
-      username: currentUser,
-      password: currentPassword,
-      state,
+    const data = await sendHeartbeat({
+      clientId,
+      activeMs,
+      signals: getActivitySignals(),
+      version: state.version || 0,
     });
+    applyHeartbeatState(data.state);
+    if (data.coinDue) handleCoinDue(data.coinDue);
   } catch (err) {
-    console.warn("syncState failed:", err.message);
+    // 没送到的时长留到下一次心跳
+    pendingActiveMs += activeMs;
+    if (err.conflict) {
+      // 其他页面改过数据：拉取最新状态后，下一秒就重发
+      await refreshState();
+      msSinceLastSync = HEARTBEAT_INTERVAL;
+    } else {
+      console.warn("syncState failed:", err.message);
+    }
+  } finally {
+    inFlightActiveMs = 0;
+    heartbeatInFlight = false;
+  }
+}
+
+/* =============================
+   多窗口：每个账号只有一个 leader 页面计时
+   ============================= */
+
+// 服务端通过 socket 的 "leader" 事件告知；没有 socket 时按 leader 处理
+let isLeaderTab = true;
+let leaderClientId = null;
+let takeoverPending = false;
+
+// 同一浏览器里的其他标签页（clientId），通过 BroadcastChannel 互相打招呼
+const localTabs = new Set();
+const tabChannel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel("timeshop")
+    : null;
+
+function postTabMessage(type) {
+  if (tabChannel) tabChannel.postMessage({ type, clientId });
+}
+
+if (tabChannel) {
+  tabChannel.addEventListener("message", ({ data }) => {
+    if (!data?.clientId || data.clientId === clientId) return;
+    if (data.type === "hello") {
+      localTabs.add(data.clientId);
+      postTabMessage("here");
+    } else if (data.type === "here") {
+      localTabs.add(data.clientId);
+    } else if (data.type === "bye") {
+      localTabs.delete(data.clientId);
+    }
+    renderLeaderBanner();
+  });
+  postTabMessage("hello");
+  window.addEventListener("pagehide", () => postTabMessage("bye"));
+}
+
+function isLeaderInLocalTab() {
+  return !!leaderClientId && localTabs.has(leaderClientId);
+}
+
+function renderLeaderBanner() {
+  if (!leaderBanner) return;
+  if (!loggedIn || isLeaderTab) {
+    leaderBanner.style.display = "none";
+    return;
+  }
+  leaderBannerText.textContent = isLeaderInLocalTab()
+    ? "You're active in another tab — time isn't counted here. / 你正在其他标签页中使用，此页面暂不计时。"
+    : "You're active in another window or device — time isn't counted here. / 你正在其他窗口或设备上使用，此页面暂不计时。";
+  leaderBanner.style.display = "";
+}
+
+function handleLeader(data) {
+  isLeaderTab = !!data?.isLeader;
+  leaderClientId = data?.leaderClientId || null;
+  takeoverPending = false;
+  renderLeaderBanner();
+}
+
+function takeOverLeader() {
+  if (!socket || !socket.connected || isLeaderTab || takeoverPending) return;
+  takeoverPending = true;
+  socket.emit("leader:takeover");
+}
+
+// 同一浏览器里切换标签页时自动接管；其他设备上的 leader 需要手动点按钮
+function maybeTakeOverLocally() {
+  if (!isLeaderTab && isPageActive() && isLeaderInLocalTab()) {
+    takeOverLeader();
   }
 }
 
+if (leaderTakeoverBtn) {
+  leaderTakeoverBtn.addEventListener("click", takeOverLeader);
+}
+
 /* =============================
    在线用户渲染
    ============================= */
@@ -298,6 +622,17 @@ function renderOnlineUsers(users) {
     nameEl.className = "online-user-name";
     nameEl.textContent = u.username;
 
+    const badges = Array.isArray(u.achievements) ? u.achievements : [];
+    if (badges.length) {
+      const badgeRow = document.createElement("span");
+      badgeRow.className = "online-user-badges";
+      badges.forEach((id) => {
+        const def = getAchievementInfo(id);
+        if (def) badgeRow.appendChild(createAchievementBadge(def, true));
+      });
+      nameEl.appendChild(badgeRow);
+    }
+
     const coinsEl = document.createElement("div");
     coinsEl.className = "online-user-coins";
     if (u.hideCoins) {
@@ -311,6 +646,16 @@ function renderOnlineUsers(users) {
 
     mainRow.appendChild(nameEl);
     mainRow.appendChild(coinsEl);
+
+    if (loggedIn && u.username !== currentUser) {
+      const tradeBtn = document.createElement("button");
+      tradeBtn.type = "button";
+      tradeBtn.className = "btn online-user-trade";
+      tradeBtn.dataset.username = u.username;
+      tradeBtn.textContent = "Trade / 交易";
+      mainRow.appendChild(tradeBtn);
+    }
+
     item.appendChild(mainRow);
 
     const cardsRow = document.createElement("div");
@@ -341,165 +686,1146 @@ function renderOnlineUsers(users) {
   });
 }
 
+if (onlineUsersList) {
+  onlineUsersList.addEventListener("click", (event) => {
+    const btn = event.target.closest(".online-user-trade");
+    if (!btn) return;
+    openTradeModal(btn.dataset.username);
+  });
+}
+
 /* =============================
-   使用教程 overlay：显示 / 隐藏
+   成就
    ============================= */
 
-const TUTORIAL_KEY = "timeShopTutorialHidden";
+// 成就定义来自 /api/achievements；myAchievements 为 [{ id, unlockedAt }]
+let achievementDefs = [];
+let myAchievements = [];
 
-function showTutorial() {
-  if (!tutorialOverlay) return;
-  tutorialOverlay.classList.add("show");
-  document.body.style.overflow = "hidden";
+function getAchievementInfo(id) {
+  return achievementDefs.find((a) => a.id === id) || null;
 }
 
-function hideTutorial() {
-  if (!tutorialOverlay) return;
-  tutorialOverlay.classList.remove("show");
-  document.body.style.overflow = "";
+function createAchievementBadge(def, unlocked) {
+  const badge = document.createElement("span");
+  badge.className = "achievement-badge";
+  if (!unlocked) badge.classList.add("locked");
+  badge.textContent = def.badge;
+  badge.title = `${def.name} / ${def.nameZh}\n${def.description}\n${def.descriptionZh}`;
+  return badge;
 }
 
-function maybeShowTutorial() {
-  if (!tutorialOverlay) return;
-  const hidden = localStorage.getItem(TUTORIAL_KEY);
-  if (hidden === "1") return;
-  showTutorial();
-}
+function renderAchievements() {
+  if (!achievementList) return;
+  achievementList.innerHTML = "";
 
-if (tutorialCloseBtn) {
-  tutorialCloseBtn.addEventListener("click", () => {
-    if (tutorialDontShow && tutorialDontShow.checked) {
-      localStorage.setItem(TUTORIAL_KEY, "1");
-    }
-    hideTutorial();
+  const unlocked = new Set(myAchievements.map((a) => a.id));
+  achievementDefs.forEach((def) => {
+    achievementList.appendChild(
+      createAchievementBadge(def, unlocked.has(def.id))
+    );
   });
+
+  if (achievementCount) {
+    const count = achievementDefs.filter((d) => unlocked.has(d.id)).length;
+    achievementCount.textContent = `${count} / ${achievementDefs.length}`;
+  }
 }
 
-if (tutorialOverlay) {
-  const backdrop = tutorialOverlay.querySelector(".tutorial-backdrop");
-  if (backdrop) {
-    backdrop.addEventListener("click", hideTutorial);
+async function loadAchievements() {
+  try {
+    const res = await fetch("/api/achievements");
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Failed to load achievements");
+    }
+    achievementDefs = data.achievements || [];
+  } catch (err) {
+    console.warn("loadAchievements failed:", err.message);
+    return;
   }
+  renderAchievements();
+}
+
+// 服务端推送的新成就：同一账号的每个标签页都会收到
+function handleAchievementUnlocked(list) {
+  const fresh = (list || []).filter(
+    (a) => !myAchievements.some((m) => m.id === a.id)
+  );
+  if (!fresh.length) return;
+
+  const unlockedAt = new Date().toISOString();
+  fresh.forEach((a) => {
+    myAchievements.push({ id: a.id, unlockedAt });
+    log(
+      `Achievement unlocked: ${a.name} / 解锁成就：${a.nameZh}（${a.descriptionZh}）`
+    );
+  });
+
+  const names = fresh.map((a) => a.name).join(", ");
+  const namesZh = fresh.map((a) => a.nameZh).join("、");
+  showToast(`Achievement unlocked: ${names} / 解锁成就：${namesZh}`);
+  renderAchievements();
 }
 
 /* =============================
-   登录 / 注册逻辑
+   每日签到
    ============================= */
 
-async function handleAuth(action) {
-  const username = authUsername.value.trim();
-  const password = authPassword.value.trim();
+// 服务端按玩家时区判断“今天”；这里只负责显示和把浏览器时区告诉服务端
+let checkinStatus = null;
+let savedTimeZone = null;
 
-  if (!username || !password) {
-    setAuthMessage("Username and password are required. / 请输入用户名与密码。");
-    return;
+function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
   }
+}
 
-  signupBtn.disabled = true;
-  loginBtn.disabled = true;
-  setAuthMessage(
-    action === "signup"
-      ? "Signing up… / 正在注册…"
-      : "Logging in… / 正在登录…",
-    false
-  );
+function renderCheckin() {
+  if (!checkinCalendar || !checkinStatus) return;
+  const { rewards, completedDays, nextDay, claimedToday } = checkinStatus;
+
+  checkinCalendar.innerHTML = "";
+  rewards.forEach((reward, i) => {
+    const day = i + 1;
+    const cell = document.createElement("div");
+    cell.className = "checkin-day";
+    if (day === rewards.length) cell.classList.add("big");
+    if (day <= completedDays) cell.classList.add("done");
+    if (!claimedToday && day === nextDay) cell.classList.add("next");
+    cell.innerHTML = `Day ${day}<strong>+${reward}</strong>`;
+    checkinCalendar.appendChild(cell);
+  });
 
-  try {
-    const data =
-      action === "signup"
-        ? await signup(username, password)
-        : await login(username, password);
+  if (checkinInfo) {
+    const streakText = `Streak: ${checkinStatus.streak} day(s) / 已连续签到 ${checkinStatus.streak} 天`;
+    const dayText = claimedToday
+      ? "Checked in today, come back tomorrow. / 今天已签到，明天再来。"
+      : `Today is day ${nextDay}: +${checkinStatus.nextReward} coins. / 今天是第 ${nextDay} 天：+${checkinStatus.nextReward} 硬币。`;
+    checkinInfo.textContent = `${streakText} · ${dayText} (${checkinStatus.timeZone})`;
+  }
 
-    currentUser = data.username;
-    currentPassword = password;
-    state =
-      data.state || {
-        totalSeconds: 0,
-        coinsSpent: 0,
-        cards: [],
-        coinsClaimed: 0,
-        coinEventsTriggered: 0,
-      };
-    loggedIn = true;
-
-    authOverlay.style.display = "none";
-    renderInventory();
-    renderStats();
-    log(`Welcome, ${currentUser}! / 欢迎，${currentUser}！你的账号数据已载入。`);
-    sendPresence(true);
-    setAuthMessage(
-      action === "signup"
-        ? "Sign up successful. You are now logged in. / 注册成功，已自动登录。"
-        : "Login successful. / 登录成功。",
-      false
-    );
+  if (checkinClaimBtn) checkinClaimBtn.disabled = claimedToday;
 
-    // 注册：先弹规则弹窗；登录：直接按设置弹使用教程
-    if (action === "signup") {
-      showSignupGuide();
+  // 浏览器时区与账号设置不一致时，提供一键切换
+  const browserZone = getBrowserTimeZone();
+  if (checkinTimeZoneBtn) {
+    const differs = browserZone && browserZone !== checkinStatus.timeZone;
+    checkinTimeZoneBtn.style.display = differs ? "" : "none";
+    checkinTimeZoneBtn.textContent = `Use ${browserZone} / 使用本地时区`;
+  }
+}
+
+async function loadCheckin() {
+  const data = await getJSON("/api/checkin");
+  checkinStatus = data.checkin;
+  renderCheckin();
+  return checkinStatus;
+}
+
+async function saveTimeZone(timeZone) {
+  const data = await postJSON("/api/checkin/timezone", { timeZone });
+  savedTimeZone = timeZone;
+  checkinStatus = data.checkin;
+  renderCheckin();
+}
+
+function openCheckinModal() {
+  if (!checkinModal || !loggedIn) return;
+  renderCheckin();
+  checkinModal.classList.add("show");
+}
+
+function closeCheckinModal() {
+  if (!checkinModal) return;
+  checkinModal.classList.remove("show");
+}
+
+// 登录后：第一次先保存浏览器时区，今天还没签到就弹出日历
+async function maybeShowCheckin() {
+  try {
+    const browserZone = getBrowserTimeZone();
+    if (!savedTimeZone && browserZone) {
+      await saveTimeZone(browserZone);
     } else {
-      maybeShowTutorial();
+      await loadCheckin();
     }
+    if (checkinStatus && !checkinStatus.claimedToday) openCheckinModal();
   } catch (err) {
-    setAuthMessage(
-      (err.message || "Auth failed.") + " / 登录或注册失败。",
-      true
+    console.warn("loadCheckin failed:", err.message);
+  }
+}
+
+async function claimDailyCheckin() {
+  if (!loggedIn || !checkinClaimBtn) return;
+  checkinClaimBtn.disabled = true;
+  try {
+    const data = await postJSON("/api/checkin");
+    applyServerState(data.state);
+    checkinStatus = data.checkin;
+    log(
+      `Day ${data.day} check-in: +${data.reward} coins. / 第 ${data.day} 天签到：获得 ${data.reward} 枚硬币。`
     );
-  } finally {
-    signupBtn.disabled = false;
-    loginBtn.disabled = false;
+    showToast(`+${data.reward} coins / 签到获得 ${data.reward} 枚硬币`);
+  } catch (err) {
+    log(`Check-in failed: ${err.message} / 签到失败。`);
   }
+  renderCheckin();
+  renderStats();
+  sendPresence(true);
 }
 
-signupBtn.addEventListener("click", () => handleAuth("signup"));
-loginBtn.addEventListener("click", () => handleAuth("login"));
+if (checkinOpenBtn) {
+  checkinOpenBtn.addEventListener("click", async () => {
+    if (!loggedIn) return;
+    try {
+      await loadCheckin();
+      openCheckinModal();
+    } catch (err) {
+      log(`Check-in failed: ${err.message} / 签到失败。`);
+    }
+  });
+}
+
+if (checkinClaimBtn) {
+  checkinClaimBtn.addEventListener("click", claimDailyCheckin);
+}
+
+if (checkinTimeZoneBtn) {
+  checkinTimeZoneBtn.addEventListener("click", async () => {
+    try {
+      await saveTimeZone(getBrowserTimeZone());
+    } catch (err) {
+      log(`Time zone update failed: ${err.message} / 时区修改失败。`);
+    }
+  });
+}
+
+[checkinModalClose, checkinModalBackdrop].forEach((el) => {
+  if (el) el.addEventListener("click", closeCheckinModal);
+});
 
 /* =============================
-   Inventory 渲染（卡牌可点击打开大图）
+   排行榜
    ============================= */
 
-function renderInventory() {
-  invGrid.innerHTML = "";
-  if (!state.cards || !state.cards.length) {
-    const d = document.createElement("div");
-    d.textContent = "— No cards yet / 暂无卡牌 —";
-    d.style.opacity = "0.6";
-    d.style.gridColumn = "1 / -1";
-    invGrid.appendChild(d);
+function getLeaderboardQuery() {
+  return {
+    metric: leaderboardMetric ? leaderboardMetric.value : "time",
+    window: leaderboardWindow ? leaderboardWindow.value : "all",
+  };
+}
+
+function fmtLeaderboardValue(metric, window, value) {
+  if (metric === "time") return fmtHMS(value);
+  if (metric === "collection") return `${value} pts / 分`;
+  if (metric === "luck") return `${value} × S/A`;
+  if (window === "weekly") return `${value} weeks / 周`;
+  return `${value} days / 天`;
+}
+
+function renderLeaderboard(board) {
+  if (!leaderboardList || !board) return;
+
+  // 切换榜单后，旧榜单的推送可能晚到，直接忽略
+  const { metric, window } = getLeaderboardQuery();
+  if (board.metric !== metric || board.window !== window) return;
+
+  leaderboardList.innerHTML = "";
+  const entries = board.entries || [];
+  if (!entries.length) {
+    const empty = document.createElement("li");
+    empty.className = "online-user-empty";
+    empty.textContent = "No one is ranked yet. / 暂无上榜玩家。";
+    leaderboardList.appendChild(empty);
     return;
   }
 
-  state.cards.forEach((c) => {
-    const level = c; // 'S'...'F' 或 'NONE'
+  entries.forEach((e) => {
+    const item = document.createElement("li");
+    item.className = "leaderboard-entry";
+    if (e.username === currentUser) item.classList.add("self");
 
-    const box = document.createElement("div");
-    box.className = "inv-item";
-    box.dataset.level = level;
+    const rank = document.createElement("span");
+    rank.className = "leaderboard-rank";
+    rank.textContent = `#${e.rank}`;
 
-    const img = document.createElement("img");
-    img.src =
-      level === "NONE"
-        ? "./assets/cards/NONE.jpg"
-        : `./assets/cards/${level}.jpg`;
-    box.dataset.src = img.src;
+    const name = document.createElement("span");
+    name.className = "leaderboard-name";
+    name.textContent = e.username;
 
-    const label = document.createElement("div");
-    label.className = "label";
-    label.textContent =
-      level === "NONE" ? "No Prize / 未中奖" : `Card ${level}`;
-    box.dataset.label = label.textContent;
+    const value = document.createElement("span");
+    value.className = "leaderboard-value";
+    value.textContent = fmtLeaderboardValue(metric, window, e.value);
 
-    box.appendChild(img);
-    box.appendChild(label);
-    invGrid.appendChild(box);
+    item.appendChild(rank);
+    item.appendChild(name);
+    item.appendChild(value);
+    leaderboardList.appendChild(item);
   });
 }
 
-/* =============================
+// 订阅当前选中的榜单；服务端会立即返回一次，之后有变化再推送
+function watchLeaderboard() {
+  if (!socket) return;
+  socket.emit("leaderboard:watch", getLeaderboardQuery());
+}
+
+[leaderboardMetric, leaderboardWindow].forEach((el) => {
+  if (el) el.addEventListener("change", watchLeaderboard);
+});
+
+/* =============================
+   玩家交易（Socket.io：发起 / 接受 / 拒绝 / 还价）
+   ============================= */
+
+// id -> trade，只保存与自己相关、仍在等待处理的报价
+const pendingTrades = new Map();
+let tradeModalTarget = null;
+let tradeModalCounterOf = null;
+
+function fmtTradeSide(side) {
+  const parts = Object.entries(side.cards || {}).map(
+    ([level, count]) => `${count}× ${cardName(level)}`
+  );
+  if (side.coins) parts.push(`${side.coins} coins`);
+  return parts.length ? parts.join(", ") : "nothing / 无";
+}
+
+function createTradeField(level, max) {
+  const label = document.createElement("label");
+  label.className = "trade-field";
+
+  const name = document.createElement("span");
+  name.textContent = level === "coins" ? "Coins / 硬币" : cardName(level);
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "0";
+  input.step = "1";
+  input.value = "0";
+  input.dataset.level = level;
+  if (Number.isFinite(max)) input.max = String(max);
+
+  label.appendChild(name);
+  label.appendChild(input);
+  return label;
+}
+
+// give：只列出自己持有的等级；get：列出全部等级
+function renderTradeFields(prefill) {
+  if (!tradeGiveFields || !tradeGetFields || !dropTable) return;
+  tradeGiveFields.innerHTML = "";
+  tradeGetFields.innerHTML = "";
+
+  const counts = {};
+  getOwnedCards().forEach((c) => {
+    counts[c.level] = (counts[c.level] || 0) + 1;
+  });
+
+  dropTable.levels.forEach((l) => {
+    if (counts[l.level]) {
+      tradeGiveFields.appendChild(createTradeField(l.level, counts[l.level]));
+    }
+    tradeGetFields.appendChild(createTradeField(l.level));
+  });
+  tradeGiveFields.appendChild(createTradeField("coins", getAvailableCoins()));
+  tradeGetFields.appendChild(createTradeField("coins"));
+
+  if (!prefill) return;
+  const fill = (container, side) => {
+    container.querySelectorAll("input").forEach((input) => {
+      const level = input.dataset.level;
+      const value = level === "coins" ? side.coins : side.cards[level];
+      if (value) input.value = String(value);
+    });
+  };
+  fill(tradeGiveFields, prefill.give);
+  fill(tradeGetFields, prefill.get);
+}
+
+function readTradeSide(container) {
+  const side = { cards: {}, coins: 0 };
+  container.querySelectorAll("input").forEach((input) => {
+    const value = Math.max(0, Math.floor(Number(input.value) || 0));
+    if (!value) return;
+    if (input.dataset.level === "coins") side.coins = value;
+    else side.cards[input.dataset.level] = value;
+  });
+  return side;
+}
+
+function openTradeModal(username, counterTrade = null) {
+  if (!tradeModal || !loggedIn || !username) return;
+  tradeModalTarget = username;
+  tradeModalCounterOf = counterTrade ? counterTrade.id : null;
+
+  if (tradeModalTitle) {
+    tradeModalTitle.textContent = counterTrade
+      ? `Counter offer to ${username} / 向 ${username} 还价`
+      : `Trade with ${username} / 与 ${username} 交易`;
+  }
+
+  // 还价：以自己的角度，原报价的 give / get 对调
+  renderTradeFields(
+    counterTrade ? { give: counterTrade.get, get: counterTrade.give } : null
+  );
+  tradeModal.classList.add("show");
+  document.body.style.overflow = "hidden";
+}
+
+function closeTradeModal() {
+  if (!tradeModal) return;
+  tradeModal.classList.remove("show");
+  document.body.style.overflow = "";
+  tradeModalTarget = null;
+  tradeModalCounterOf = null;
+}
+
+function emitTrade(event, payload) {
+  return new Promise((resolve, reject) => {
+    if (!socket || !socket.connected) {
+      reject(new Error("Not connected"));
+      return;
+    }
+    socket.emit(event, payload, (res) => {
+      if (res && res.ok) resolve(res.trade);
+      else reject(new Error((res && res.error) || "Trade failed"));
+    });
+  });
+}
+
+async function sendTradeOffer() {
+  if (!tradeModalTarget) return;
+  const give = readTradeSide(tradeGiveFields);
+  const get = readTradeSide(tradeGetFields);
+
+  try {
+    if (tradeModalCounterOf) {
+      await emitTrade("trade:counter", { id: tradeModalCounterOf, give, get });
+    } else {
+      await emitTrade("trade:propose", { to: tradeModalTarget, give, get });
+    }
+    showToast("Offer sent / 报价已发送");
+    closeTradeModal();
+  } catch (err) {
+    showToast(`${err.message} / 发送报价失败`);
+  }
+}
+
+async function respondTrade(id, action) {
+  try {
+    await emitTrade("trade:respond", { id, action });
+  } catch (err) {
+    showToast(`${err.message} / 操作失败`);
+  }
+}
+
+// 成交后重新拉取自己的状态（卡牌和硬币由服务端改动）
+async function refreshAccountState() {
+  try {
+    const data = await restoreSession();
+    if (!data) return;
+    applyServerState(data.state);
+  } catch (err) {
+    console.warn("refreshAccountState failed:", err.message);
+    return;
+  }
+  renderInventory();
+  renderStats();
+  loadHistory(true);
+}
+
+const TRADE_STATUS_TEXT = {
+  accepted: "accepted / 已成交",
+  rejected: "rejected / 已拒绝",
+  countered: "countered / 已还价",
+  expired: "expired / 已过期",
+  cancelled: "cancelled / 已取消",
+  failed: "failed / 交易失败",
+};
+
+function handleTradeUpdate(trade) {
+  if (!trade || !currentUser) return;
+  const incoming = trade.to === currentUser;
+  const other = incoming ? trade.from : trade.to;
+  const isNew = !pendingTrades.has(trade.id);
+
+  if (trade.status === "pending") {
+    pendingTrades.set(trade.id, trade);
+    if (isNew && incoming) {
+      log(
+        `${trade.from} offers ${fmtTradeSide(trade.give)} for ${fmtTradeSide(trade.get)}. / ${trade.from} 向你发起了交易。`
+      );
+      showToast(`New trade offer from ${trade.from} / 收到交易报价`);
+    }
+  } else {
+    pendingTrades.delete(trade.id);
+    log(
+      `Trade with ${other} ${TRADE_STATUS_TEXT[trade.status] || trade.status}.`
+    );
+    if (trade.status === "accepted") refreshAccountState();
+  }
+  renderTrades();
+}
+
+function renderTrades() {
+  if (!tradeList) return;
+  tradeList.innerHTML = "";
+  if (!pendingTrades.size) return;
+
+  const now = Date.now();
+  pendingTrades.forEach((trade) => {
+    const incoming = trade.to === currentUser;
+    const row = document.createElement("div");
+    row.className = "trade-item";
+    if (incoming) row.classList.add("incoming");
+
+    const text = document.createElement("div");
+    text.className = "trade-text";
+    text.textContent = incoming
+      ? `${trade.from} gives ${fmtTradeSide(trade.give)} · wants ${fmtTradeSide(trade.get)}`
+      : `To ${trade.to}: you give ${fmtTradeSide(trade.give)} · want ${fmtTradeSide(trade.get)}`;
+
+    const left = Math.max(0, Math.ceil((trade.expiresAt - now) / 1000));
+    const timer = document.createElement("div");
+    timer.className = "trade-timer";
+    timer.textContent = `Expires in ${fmtHMS(left)} / 剩余时间`;
+
+    const actions = document.createElement("div");
+    actions.className = "trade-actions";
+    const addAction = (action, label, extraClass) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `btn ${extraClass || ""}`.trim();
+      btn.dataset.tradeId = trade.id;
+      btn.dataset.action = action;
+      btn.textContent = label;
+      actions.appendChild(btn);
+    };
+    if (incoming) {
+      addAction("accept", "Accept / 接受", "primary");
+      addAction("counter", "Counter / 还价");
+      addAction("reject", "Reject / 拒绝", "danger");
+    } else {
+      addAction("cancel", "Cancel / 撤回");
+    }
+
+    row.appendChild(text);
+    row.appendChild(timer);
+    row.appendChild(actions);
+    tradeList.appendChild(row);
+  });
+}
+
+if (tradeList) {
+  tradeList.addEventListener("click", (event) => {
+    const btn = event.target.closest("button[data-action]");
+    if (!btn) return;
+    const trade = pendingTrades.get(btn.dataset.tradeId);
+    if (!trade) return;
+
+    if (btn.dataset.action === "counter") {
+      openTradeModal(trade.from, trade);
+      return;
+    }
+    btn.disabled = true;
+    respondTrade(trade.id, btn.dataset.action);
+  });
+}
+
+if (tradeModalSend) {
+  tradeModalSend.addEventListener("click", sendTradeOffer);
+}
+if (tradeModalClose) {
+  tradeModalClose.addEventListener("click", closeTradeModal);
+}
+if (tradeModalBackdrop) {
+  tradeModalBackdrop.addEventListener("click", closeTradeModal);
+}
+
+/* =============================
+   使用教程 overlay：显示 / 隐藏
+   ============================= */
+
+const TUTORIAL_KEY = "timeShopTutorialHidden";
+
+function showTutorial() {
+  if (!tutorialOverlay) return;
+  tutorialOverlay.classList.add("show");
+  document.body.style.overflow = "hidden";
+}
+
+function hideTutorial() {
+  if (!tutorialOverlay) return;
+  tutorialOverlay.classList.remove("show");
+  document.body.style.overflow = "";
+}
+
+function maybeShowTutorial() {
+  if (!tutorialOverlay) return;
+  const hidden = localStorage.getItem(TUTORIAL_KEY);
+  if (hidden === "1") return;
+  showTutorial();
+}
+
+if (tutorialCloseBtn) {
+  tutorialCloseBtn.addEventListener("click", () => {
+    if (tutorialDontShow && tutorialDontShow.checked) {
+      localStorage.setItem(TUTORIAL_KEY, "1");
+    }
+    hideTutorial();
+  });
+}
+
+if (tutorialOverlay) {
+  const backdrop = tutorialOverlay.querySelector(".tutorial-backdrop");
+  if (backdrop) {
+    backdrop.addEventListener("click", hideTutorial);
+  }
+}
+
+/* =============================
+   登录 / 注册逻辑
+   ============================= */
+
+// 登录、注册或恢复会话成功后进入主界面
+function enterSession(data) {
+  currentUser = data.username;
+  state = data.state || createEmptyState();
+  loggedIn = true;
+  // 登录前已经出现过的硬币事件不再弹出
+  pendingActiveMs = 0;
+  lastCoinEventShown = state.coinEventsTriggered || 0;
+
+  hideCoinsInSocial = !!data.preferences?.hideCoins;
+  if (hideCoinsToggle) hideCoinsToggle.checked = hideCoinsInSocial;
+  myAchievements = data.achievements || [];
+  renderAchievements();
+  savedTimeZone = data.preferences?.timeZone || null;
+  if (moderationLink) moderationLink.style.display = data.isAdmin ? "" : "none";
+
+  authOverlay.style.display = "none";
+  renderInventory();
+  renderStats();
+  log(`Welcome, ${currentUser}! / 欢迎，${currentUser}！你的账号数据已载入。`);
+  loadHistory(true);
+  loadFairness();
+  // 重新握手，让 socket 带上新的会话 cookie
+  reconnectSocket();
+}
+
+// 退出或会话过期：清空本地状态并显示登录遮罩
+function leaveSession() {
+  hideCoinButton();
+  currentUser = null;
+  loggedIn = false;
+  pendingActiveMs = 0;
+  isLeaderTab = true;
+  leaderClientId = null;
+  renderLeaderBanner();
+  state = createEmptyState();
+  myAchievements = [];
+  renderAchievements();
+  checkinStatus = null;
+  savedTimeZone = null;
+  closeCheckinModal();
+  loadFairness();
+  if (moderationLink) moderationLink.style.display = "none";
+
+  authOverlay.style.display = "";
+  renderInventory();
+  renderStats();
+  clearHistory();
+  pendingTrades.clear();
+  renderTrades();
+  closeTradeModal();
+  reconnectSocket();
+}
+
+function handleSessionExpired() {
+  leaveSession();
+  setAuthMessage(
+    "Session expired, please log in again. / 登录已过期，请重新登录。"
+  );
+}
+
+async function handleAuth(action) {
+  const username = authUsername.value.trim();
+  const password = authPassword.value.trim();
+
+  if (!username || !password) {
+    setAuthMessage("Username and password are required. / 请输入用户名与密码。");
+    return;
+  }
+
+  signupBtn.disabled = true;
+  loginBtn.disabled = true;
+  setAuthMessage(
+    action === "signup"
+      ? "Signing up… / 正在注册…"
+      : "Logging in… / 正在登录…",
+    false
+  );
+
+  try {
+    const data =
+      action === "signup"
+        ? await signup(username, password)
+        : await login(username, password);
+
+    enterSession(data);
+    authPassword.value = "";
+    setAuthMessage(
+      action === "signup"
+        ? "Sign up successful. You are now logged in. / 注册成功，已自动登录。"
+        : "Login successful. / 登录成功。",
+      false
+    );
+
+    // 注册：先弹规则弹窗；登录：直接按设置弹使用教程
+    if (action === "signup") {
+      showSignupGuide();
+    } else {
+      maybeShowTutorial();
+    }
+    maybeShowCheckin();
+  } catch (err) {
+    setAuthMessage(
+      (err.message || "Auth failed.") + " / 登录或注册失败。",
+      true
+    );
+  } finally {
+    signupBtn.disabled = false;
+    loginBtn.disabled = false;
+  }
+}
+
+signupBtn.addEventListener("click", () => handleAuth("signup"));
+loginBtn.addEventListener("click", () => handleAuth("login"));
+
+if (logoutBtn) {
+  logoutBtn.addEventListener("click", async () => {
+    if (!loggedIn) return;
+    // 先把计时同步上去再退出
+    await syncState();
+    try {
+      await logout();
+    } catch (err) {
+      console.warn("logout failed:", err.message);
+    }
+    leaveSession();
+    setAuthMessage("Logged out. / 已退出登录。", false);
+  });
+}
+
+/* =============================
+   Inventory 渲染（卡牌可点击打开大图）
+   ============================= */
+
+// 两种视图：collection = 按等级分组的图鉴；timeline = 按抽卡顺序逐张显示
+const INVENTORY_VIEW_KEY = "timeShopInventoryView";
+let inventoryView =
+  localStorage.getItem(INVENTORY_VIEW_KEY) === "timeline"
+    ? "timeline"
+    : "collection";
+
+function renderInventory() {
+  invGrid.innerHTML = "";
+  renderInventoryToggle();
+  renderCraftPanel();
+
+  // 合成消耗掉的卡仍在 state.cards 里（带 consumedAt），这里只显示当前持有的
+  const cards = getOwnedCards();
+  if (inventoryView === "collection") {
+    renderCollection(cards);
+    return;
+  }
+
+  if (collectionProgress) collectionProgress.textContent = "";
+  if (!cards.length) {
+    const d = document.createElement("div");
+    d.textContent = "— No cards yet / 暂无卡牌 —";
+    d.style.opacity = "0.6";
+    d.style.gridColumn = "1 / -1";
+    invGrid.appendChild(d);
+    return;
+  }
+
+  renderTimeline(cards);
+}
+
+function getOwnedCards() {
+  return (state.cards || []).filter((c) => !c.consumedAt);
+}
+
+function renderInventoryToggle() {
+  if (!inventoryViewToggle) return;
+  inventoryViewToggle.querySelectorAll("button").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.view === inventoryView);
+  });
+}
+
+function renderTimeline(cards) {
+  cards.forEach((c) => {
+    const level = c.level; // 'S'...'F' 或 'NONE'
+
+    const box = document.createElement("div");
+    box.className = "inv-item";
+    box.dataset.level = level;
+
+    const img = document.createElement("img");
+    img.src = cardImage(level);
+    box.dataset.src = img.src;
+
+    const label = document.createElement("div");
+    label.className = "label";
+    label.textContent =
+      level === "NONE"
+        ? `${cardName(level)} / ${cardNameZh(level)}`
+        : cardName(level);
+    box.dataset.label = label.textContent;
+
+    box.appendChild(img);
+    box.appendChild(label);
+    invGrid.appendChild(box);
+  });
+}
+
+// 图鉴：每个等级一格 + 数量角标；没抽到的等级显示剪影（NONE 不计入完成度）
+function renderCollection(cards) {
+  const counts = {};
+  cards.forEach((c) => {
+    counts[c.level] = (counts[c.level] || 0) + 1;
+  });
+
+  const levels = dropTable
+    ? dropTable.levels.map((l) => l.level)
+    : Object.keys(counts);
+  const collectible = levels.filter((level) => level !== "NONE");
+  const owned = collectible.filter((level) => counts[level]);
+
+  if (collectionProgress) {
+    const pct = collectible.length
+      ? Math.round((owned.length / collectible.length) * 100)
+      : 0;
+    collectionProgress.textContent = `Collection ${owned.length}/${collectible.length} · ${pct}% / 图鉴完成度 ${pct}%`;
+  }
+
+  levels.forEach((level) => {
+    const count = counts[level] || 0;
+    if (!count && level === "NONE") return;
+
+    const box = document.createElement("div");
+    box.className = "inv-item inv-group";
+    box.dataset.level = level;
+
+    const img = document.createElement("img");
+    img.src = cardImage(level);
+    box.appendChild(img);
+
+    const label = document.createElement("div");
+    label.className = "label";
+
+    if (count) {
+      box.dataset.src = img.src;
+      label.textContent =
+        level === "NONE"
+          ? `${cardName(level)} / ${cardNameZh(level)}`
+          : cardName(level);
+      box.dataset.label = label.textContent;
+
+      const badge = document.createElement("span");
+      badge.className = "inv-count";
+      badge.textContent = `×${count}`;
+      box.appendChild(badge);
+    } else {
+      box.classList.add("locked");
+      label.textContent = "??? / 未获得";
+    }
+
+    box.appendChild(label);
+    invGrid.appendChild(box);
+  });
+}
+
+if (inventoryViewToggle) {
+  inventoryViewToggle.addEventListener("click", (event) => {
+    const btn = event.target.closest("button[data-view]");
+    if (!btn || btn.dataset.view === inventoryView) return;
+    inventoryView = btn.dataset.view;
+    localStorage.setItem(INVENTORY_VIEW_KEY, inventoryView);
+    renderInventory();
+  });
+}
+
+/* =============================
+   合成：按 /api/gacha/table 里的配方，由服务端校验并扣卡
+   ============================= */
+
+function renderCraftPanel() {
+  if (!craftPanel) return;
+  craftPanel.innerHTML = "";
+
+  const recipes = (dropTable && dropTable.recipes) || [];
+  if (!recipes.length) {
+    craftPanel.textContent = "No recipes available / 暂无合成配方";
+    return;
+  }
+
+  const counts = {};
+  getOwnedCards().forEach((c) => {
+    counts[c.level] = (counts[c.level] || 0) + 1;
+  });
+
+  recipes.forEach((recipe) => {
+    const owned = counts[recipe.from] || 0;
+
+    const row = document.createElement("div");
+    row.className = "craft-recipe";
+    if (owned >= recipe.count) row.classList.add("ready");
+
+    const preview = document.createElement("img");
+    preview.className = "craft-preview";
+    preview.src = cardImage(recipe.to);
+    preview.alt = cardName(recipe.to);
+
+    const info = document.createElement("div");
+    info.className = "craft-info";
+
+    const formula = document.createElement("div");
+    formula.className = "craft-formula";
+    formula.textContent = `${recipe.count} × ${cardName(recipe.from)} → 1 × ${cardName(recipe.to)}`;
+
+    const have = document.createElement("div");
+    have.className = "craft-owned";
+    have.textContent = `Owned ${owned}/${recipe.count} / 拥有 ${owned} 张`;
+
+    info.appendChild(formula);
+    info.appendChild(have);
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn primary craft-btn";
+    btn.dataset.recipeId = recipe.id;
+    btn.textContent = "Craft / 合成";
+    btn.disabled = !loggedIn || owned < recipe.count;
+
+    row.appendChild(preview);
+    row.appendChild(info);
+    row.appendChild(btn);
+    craftPanel.appendChild(row);
+  });
+}
+
+async function craft(recipeId) {
+  const recipe = (dropTable?.recipes || []).find((r) => r.id === recipeId);
+  if (!loggedIn || !recipe) return;
+
+  try {
+    const data = await postJSON("/api/craft", {
+      recipeId,
+      version: state.version || 0,
+    });
+    applyServerState(data.state);
+  } catch (err) {
+    if (err.conflict) refreshState();
+    log(`Craft failed: ${err.message} / 合成失败。`);
+    showToast("Craft failed / 合成失败");
+    return;
+  }
+
+  renderInventory();
+  renderStats();
+  loadHistory(true);
+  sendPresence(true);
+  log(
+    `Crafted ${cardName(recipe.to)} from ${recipe.count} × ${cardName(recipe.from)}. / 用 ${recipe.count} 张${cardNameZh(recipe.from)}合成了${cardNameZh(recipe.to)}。`
+  );
+  showToast(`Crafted ${cardName(recipe.to)} / 合成成功`);
+}
+
+if (craftToggleBtn && craftPanel) {
+  craftToggleBtn.addEventListener("click", () => {
+    const show = !craftPanel.classList.contains("show");
+    craftPanel.classList.toggle("show", show);
+    craftToggleBtn.classList.toggle("active", show);
+    if (show) renderCraftPanel();
+  });
+
+  craftPanel.addEventListener("click", (event) => {
+    const btn = event.target.closest(".craft-btn");
+    if (!btn || btn.disabled) return;
+    btn.disabled = true;
+    craft(btn.dataset.recipeId);
+  });
+}
+
+/* =============================
+   抽卡历史（/api/me/draws，分页 + 按等级筛选）
+   ============================= */
+
+const HISTORY_PAGE_SIZE = 20;
+let historyNextOffset = 0;
+let historyLoading = false;
+
+function renderHistoryFilter() {
+  if (!historyLevelFilter || !dropTable) return;
+  const selected = historyLevelFilter.value;
+  historyLevelFilter.innerHTML = "";
+
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "All levels / 全部等级";
+  historyLevelFilter.appendChild(all);
+
+  dropTable.levels.forEach((l) => {
+    const opt = document.createElement("option");
+    opt.value = l.level;
+    opt.textContent = `${l.name} / ${l.nameZh}`;
+    historyLevelFilter.appendChild(opt);
+  });
+  historyLevelFilter.value = selected;
+}
+
+function createHistoryRow(record) {
+  const row = document.createElement("div");
+  row.className = "history-item";
+
+  const badge = document.createElement("span");
+  badge.className = `badge ${
+    record.level === "NONE" ? "badge-none" : "badge-" + record.level
+  }`;
+  badge.textContent = getLevelInfo(record.level)?.badge || record.level;
+
+  const name = document.createElement("span");
+  name.className = "history-name";
+  name.textContent = cardName(record.level);
+
+  const meta = document.createElement("span");
+  meta.className = "history-meta";
+  const when = record.drawnAt
+    ? new Date(record.drawnAt).toLocaleString()
+    : "Unknown time / 时间未知";
+  const cost = Number.isFinite(record.cost)
+    ? ` · ${parseFloat(record.cost.toFixed(2))} coins`
+    : "";
+  const version = record.tableVersion ? ` · v${record.tableVersion}` : "";
+  meta.textContent = `${when}${cost}${version}`;
+
+  row.appendChild(badge);
+  row.appendChild(name);
+
+  // 合成得到 / 已被合成消耗
+  if (record.source === "craft" || record.consumedAt) {
+    const tag = document.createElement("span");
+    tag.className = "history-tag";
+    tag.textContent =
+      record.source === "craft" ? "Crafted / 合成" : "Used in craft / 已合成";
+    row.appendChild(tag);
+  }
+
+  // 限时卡池抽到的卡
+  if (record.bannerId) {
+    const banner = banners.find((b) => b.id === record.bannerId);
+    const tag = document.createElement("span");
+    tag.className = "history-tag";
+    tag.textContent = banner
+      ? `${banner.name} / ${banner.nameZh}`
+      : "Event banner / 限时卡池";
+    row.appendChild(tag);
+  }
+
+  row.appendChild(meta);
+  return row;
+}
+
+async function loadHistory(reset = false) {
+  if (!historyList || !loggedIn || historyLoading) return;
+  if (reset) historyNextOffset = 0;
+  if (historyNextOffset === null) return;
+
+  historyLoading = true;
+  const params = new URLSearchParams({
+    offset: String(historyNextOffset),
+    limit: String(HISTORY_PAGE_SIZE),
+  });
+  const level = historyLevelFilter ? historyLevelFilter.value : "";
+  if (level) params.set("level", level);
+
+  try {
+    const data = await getJSON(`/api/me/draws?${params}`);
+    if (reset) historyList.innerHTML = "";
+
+    if (!data.total) {
+      const empty = document.createElement("div");
+      empty.className = "history-empty";
+      empty.textContent = "No draws yet / 暂无抽卡记录";
+      historyList.appendChild(empty);
+    }
+    (data.draws || []).forEach((r) =>
+      historyList.appendChild(createHistoryRow(r))
+    );
+
+    historyNextOffset = data.nextOffset;
+    if (historyMoreBtn) {
+      historyMoreBtn.style.display = data.nextOffset === null ? "none" : "";
+    }
+  } catch (err) {
+    console.warn("loadHistory failed:", err.message);
+  } finally {
+    historyLoading = false;
+  }
+}
+
+function clearHistory() {
+  if (historyList) historyList.innerHTML = "";
+  if (historyMoreBtn) historyMoreBtn.style.display = "none";
+  historyNextOffset = 0;
+}
+
+if (historyLevelFilter) {
+  historyLevelFilter.addEventListener("change", () => loadHistory(true));
+}
+if (historyMoreBtn) {
+  historyMoreBtn.addEventListener("click", () => loadHistory(false));
+}
+
+/* =============================
    Inventory 点击 → 打开图片查看 + 评论
    ============================= */
 
 let currentPreviewLevel = null;
+// 大图下面选中的星级，0 表示还没选
+let previewRating = 0;
+
+// 5 个星星按钮；点击后回调 onSelect(rating)
+function renderStarPicker(container, rating, onSelect) {
+  if (!container) return;
+  container.innerHTML = "";
+  for (let i = 1; i <= 5; i++) {
+    const star = document.createElement("button");
+    star.type = "button";
+    star.className = `review-star${i <= rating ? " active" : ""}`;
+    star.textContent = "★";
+    star.setAttribute("aria-label", `${i} / 5`);
+    star.addEventListener("click", () => onSelect(i));
+    container.appendChild(star);
+  }
+}
+
+function setPreviewRating(rating) {
+  previewRating = rating;
+  renderStarPicker(imageViewerStars, previewRating, setPreviewRating);
+}
+
+function fmtStars(rating) {
+  const n = Math.round(rating || 0);
+  return "★".repeat(n) + "☆".repeat(5 - n);
+}
 
 function openImageViewer(src, label, level) {
   if (!imageViewer || !imageViewerImg) return;
@@ -507,6 +1833,7 @@ function openImageViewer(src, label, level) {
   imageViewerImg.src = src;
   if (imageViewerLabel) imageViewerLabel.textContent = label || "";
   if (imageViewerReviewInput) imageViewerReviewInput.value = "";
+  setPreviewRating(0);
   imageViewer.classList.add("show");
   document.body.style.overflow = "hidden";
 }
@@ -530,7 +1857,7 @@ if (invGrid) {
     const target = event.target;
     if (!target) return;
     const item = target.closest(".inv-item");
-    if (!item) return;
+    if (!item || item.classList.contains("locked")) return;
 
     const imgEl = item.querySelector("img");
     const labelEl = item.querySelector(".label");
@@ -549,7 +1876,7 @@ if (invGrid) {
 
 if (imageViewerReviewSend) {
   imageViewerReviewSend.addEventListener("click", async () => {
-    if (!loggedIn || !currentUser || !currentPassword) {
+    if (!loggedIn || !currentUser) {
       alert("Please log in first. / 请先登录后再发表评论。");
       return;
     }
@@ -559,33 +1886,479 @@ if (imageViewerReviewSend) {
       return;
     }
 
-    const text = (imageViewerReviewInput?.value || "").trim();
-    if (!text) {
-      alert("Review cannot be empty. / 评价内容不能为空。");
-      return;
-    }
+    if (!previewRating) {
+      alert("Please pick 1-5 stars. / 请先选择 1–5 星评分。");
+      return;
+    }
+
+    const text = (imageViewerReviewInput?.value || "").trim();
+    if (!text) {
+      alert("Review cannot be empty. / 评价内容不能为空。");
+      return;
+    }
+
+    try {
+      const data = await postJSON("/api/reviews", {
+        cardLevel: currentPreviewLevel,
+        text,
+        rating: previewRating,
+      });
+      showToast(
+        data.held
+          ? "Review held for moderation / 评价已提交，等待审核"
+          : "Review sent / 发送成功"
+      );
+      if (imageViewerReviewInput) imageViewerReviewInput.value = "";
+      setPreviewRating(0);
+      loadReviewSummary();
+    } catch (err) {
+      console.error(err);
+      showToast(`${err.message} / 发送失败`);
+    }
+  });
+}
+
+/* =============================
+   按等级查看评论 Modal
+   滚动到底部时按游标继续加载
+   ============================= */
+
+const REVIEW_PAGE_SIZE = 10;
+
+let reviewModalLevel = null;
+let reviewCursor = null;
+let reviewLoading = false;
+// 切换等级 / 排序后，丢弃还没返回的旧请求
+let reviewRequestId = 0;
+
+function renderReviewEmpty() {
+  const empty = document.createElement("div");
+  empty.className = "review-empty";
+  empty.textContent = "No reviews yet / 暂无评价";
+  reviewModalBody.appendChild(empty);
+}
+
+function renderReviewSummary(summary) {
+  if (!reviewModalSummary) return;
+  reviewModalSummary.textContent = summary
+    ? `${fmtStars(summary.average)} ${summary.average.toFixed(1)} · ${summary.count} ratings / 条评分`
+    : "No ratings yet / 暂无评分";
+}
+
+// 评论卡片 → 评论数据，实时回复到达时用来找到对应的评论
+const reviewItemData = new WeakMap();
+
+function createReviewItem(r) {
+  const row = document.createElement("div");
+  row.className = "review-item";
+  row.dataset.id = r.id;
+  reviewItemData.set(row, r);
+
+  const header = document.createElement("div");
+  header.className = "review-header";
+
+  const name = document.createElement("span");
+  name.className = "review-author";
+  name.textContent = r.username || "Unknown";
+  header.appendChild(name);
+
+  // 提交时服务端确认过持有这张卡
+  if (r.verified) {
+    const verified = document.createElement("span");
+    verified.className = "review-tag review-verified";
+    verified.textContent = "✔ Verified owner / 已验证持有";
+    if (r.ownedSince) {
+      verified.title = `Owned since / 首次拥有: ${new Date(r.ownedSince).toLocaleString()}`;
+    }
+    header.appendChild(verified);
+
+    const copies = document.createElement("span");
+    copies.className = "review-tag";
+    copies.textContent = `Holds ${r.copies} / 持有 ${r.copies} 张`;
+    header.appendChild(copies);
+  }
+
+  if (r.reviewerReset) {
+    const reset = document.createElement("span");
+    reset.className = "review-tag review-reset";
+    reset.textContent = "Account reset since / 之后重置过账号";
+    header.appendChild(reset);
+  }
+
+  if (r.rating) {
+    const stars = document.createElement("span");
+    stars.className = "review-rating";
+    stars.textContent = fmtStars(r.rating);
+    header.appendChild(stars);
+  }
+
+  const date = document.createElement("span");
+  date.className = "review-date";
+  date.textContent = new Date(r.createdAt).toLocaleString();
+  if (r.updatedAt) date.textContent += " · edited / 已编辑";
+  header.appendChild(date);
+
+  const textEl = document.createElement("div");
+  textEl.className = "review-text";
+  textEl.textContent = r.text;
+
+  row.appendChild(header);
+  row.appendChild(textEl);
+
+  if (loggedIn && r.username === currentUser) {
+    const actions = document.createElement("div");
+    actions.className = "review-actions";
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "review-action";
+    editBtn.textContent = "Edit / 编辑";
+    editBtn.addEventListener("click", () => startEditReview(row, r));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "review-action";
+    deleteBtn.textContent = "Delete / 删除";
+    deleteBtn.addEventListener("click", () => deleteReview(row, r));
+
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    header.appendChild(actions);
+  } else if (loggedIn) {
+    const actions = document.createElement("div");
+    actions.className = "review-actions";
+
+    const reportBtn = document.createElement("button");
+    reportBtn.type = "button";
+    reportBtn.className = "review-action";
+    reportBtn.textContent = "Report / 举报";
+    reportBtn.addEventListener("click", () => reportReview(reportBtn, r));
+
+    actions.appendChild(reportBtn);
+    header.appendChild(actions);
+  }
+
+  row.appendChild(createReviewFooter(row, r));
+
+  const replies = document.createElement("div");
+  replies.className = "review-replies";
+  (r.replies || []).forEach((reply) => {
+    replies.appendChild(createReplyItem(r, reply));
+  });
+  row.appendChild(replies);
+
+  return row;
+}
+
+// 「有帮助」按钮 + 回复按钮
+function createReviewFooter(row, r) {
+  const footer = document.createElement("div");
+  footer.className = "review-footer";
+
+  const helpfulBtn = document.createElement("button");
+  helpfulBtn.type = "button";
+  helpfulBtn.className = `review-action review-helpful${r.votedHelpful ? " active" : ""}`;
+  helpfulBtn.textContent = `👍 Helpful / 有帮助 (${r.helpfulCount || 0})`;
+  helpfulBtn.disabled = !loggedIn || r.username === currentUser;
+  helpfulBtn.addEventListener("click", async () => {
+    try {
+      const data = await postJSON(
+        `/api/reviews/${encodeURIComponent(r.id)}/helpful`
+      );
+      r.votedHelpful = data.voted;
+      r.helpfulCount = data.helpfulCount;
+      helpfulBtn.classList.toggle("active", data.voted);
+      helpfulBtn.textContent = `👍 Helpful / 有帮助 (${data.helpfulCount})`;
+    } catch (err) {
+      console.error(err);
+      showToast(`${err.message} / 操作失败`);
+    }
+  });
+  footer.appendChild(helpfulBtn);
+
+  if (loggedIn) {
+    const replyBtn = document.createElement("button");
+    replyBtn.type = "button";
+    replyBtn.className = "review-action";
+    replyBtn.textContent = "Reply / 回复";
+    replyBtn.addEventListener("click", () => toggleReplyForm(row, r));
+    footer.appendChild(replyBtn);
+  }
+
+  return footer;
+}
+
+function createReplyItem(r, reply) {
+  const item = document.createElement("div");
+  item.className = "review-reply";
+  item.dataset.id = reply.id;
+
+  const header = document.createElement("div");
+  header.className = "review-header";
+
+  const name = document.createElement("span");
+  name.className = "review-author";
+  name.textContent = reply.username;
+  header.appendChild(name);
+
+  const date = document.createElement("span");
+  date.className = "review-date";
+  date.textContent = new Date(reply.createdAt).toLocaleString();
+  header.appendChild(date);
+
+  if (loggedIn && reply.username === currentUser) {
+    const actions = document.createElement("div");
+    actions.className = "review-actions";
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "review-action";
+    deleteBtn.textContent = "Delete / 删除";
+    deleteBtn.addEventListener("click", async () => {
+      if (!confirm("Delete this reply? / 确定删除这条回复吗？")) return;
+      try {
+        await requestJSON(
+          "DELETE",
+          `/api/reviews/${encodeURIComponent(r.id)}/replies/${encodeURIComponent(reply.id)}`
+        );
+        r.replies = r.replies.filter((x) => x.id !== reply.id);
+        item.remove();
+      } catch (err) {
+        console.error(err);
+        showToast(`${err.message} / 删除失败`);
+      }
+    });
+    actions.appendChild(deleteBtn);
+    header.appendChild(actions);
+  }
+
+  const text = document.createElement("div");
+  text.className = "review-text";
+  text.textContent = reply.text;
+
+  item.appendChild(header);
+  item.appendChild(text);
+  return item;
+}
+
+// 回复只有一层：表单挂在评论下面，回复本身没有回复按钮
+function toggleReplyForm(row, r) {
+  const existing = row.querySelector(".review-reply-form");
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  const form = document.createElement("div");
+  form.className = "review-edit review-reply-form";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.maxLength = 500;
+  input.placeholder = "Write a reply / 写下你的回复";
+
+  const sendBtn = document.createElement("button");
+  sendBtn.type = "button";
+  sendBtn.className = "btn primary image-viewer-review-send";
+  sendBtn.textContent = "Send / 发送";
+  sendBtn.addEventListener("click", async () => {
+    const text = input.value.trim();
+    if (!text) return;
+    try {
+      const data = await postJSON(
+        `/api/reviews/${encodeURIComponent(r.id)}/replies`,
+        { text }
+      );
+      form.remove();
+      if (data.held) {
+        showToast("Reply held for moderation / 回复已提交，等待审核");
+        return;
+      }
+      appendReply(row, r, data.reply);
+    } catch (err) {
+      console.error(err);
+      showToast(`${err.message} / 回复失败`);
+    }
+  });
+
+  form.appendChild(input);
+  form.appendChild(sendBtn);
+  row.appendChild(form);
+  input.focus();
+}
+
+function appendReply(row, r, reply) {
+  r.replies = r.replies || [];
+  if (r.replies.some((x) => x.id === reply.id)) return;
+  r.replies.push(reply);
+  const replies = row.querySelector(".review-replies");
+  if (replies) replies.appendChild(createReplyItem(r, reply));
+}
+
+// 别人回复了我的评论：提示一下；如果正好开着这条评论，直接显示出来
+function handleReviewReply({ reviewId, level, reply }) {
+  showToast(`${reply.username} replied to your review / 回复了你的评价`);
+  log(
+    `${reply.username} replied to your review of ${cardName(level)}: ${reply.text} / ${reply.username} 回复了你对 ${cardNameZh(level)} 的评价`
+  );
+
+  const row = reviewModalBody
+    ? [...reviewModalBody.querySelectorAll(".review-item")].find(
+        (el) => el.dataset.id === reviewId
+      )
+    : null;
+  const r = row && reviewItemData.get(row);
+  if (r) appendReply(row, r, reply);
+}
+
+// 在原位置换成编辑表单：星级 + 文本 + 保存 / 取消
+function startEditReview(row, r) {
+  let rating = r.rating || 0;
+
+  const form = document.createElement("div");
+  form.className = "review-edit";
+
+  const stars = document.createElement("div");
+  stars.className = "review-stars";
+  const pick = (value) => {
+    rating = value;
+    renderStarPicker(stars, rating, pick);
+  };
+  pick(rating);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.maxLength = 500;
+  input.value = r.text;
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "btn primary image-viewer-review-send";
+  saveBtn.textContent = "Save / 保存";
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "btn image-viewer-review-send";
+  cancelBtn.textContent = "Cancel / 取消";
+  cancelBtn.addEventListener("click", () => {
+    row.replaceWith(createReviewItem(r));
+  });
+
+  saveBtn.addEventListener("click", async () => {
+    const text = input.value.trim();
+    if (!text || !rating) {
+      alert("Pick a rating and write something. / 请选择评分并填写内容。");
+      return;
+    }
+    try {
+      const data = await requestJSON(
+        "PUT",
+        `/api/reviews/${encodeURIComponent(r.id)}`,
+        { text, rating }
+      );
+      if (data.held) {
+        row.remove();
+        if (!reviewModalBody.querySelector(".review-item")) renderReviewEmpty();
+        showToast("Review held for moderation / 评价已修改，等待审核");
+      } else {
+        row.replaceWith(createReviewItem(data.review));
+        showToast("Review updated / 已更新评价");
+      }
+      loadReviewSummary();
+    } catch (err) {
+      console.error(err);
+      showToast(`${err.message} / 更新失败`);
+    }
+  });
+
+  form.appendChild(stars);
+  form.appendChild(input);
+  form.appendChild(saveBtn);
+  form.appendChild(cancelBtn);
+
+  row.innerHTML = "";
+  row.appendChild(form);
+  input.focus();
+}
+
+async function reportReview(button, r) {
+  const reason = prompt("Why are you reporting this review? / 举报原因（可选）");
+  if (reason === null) return;
+  try {
+    await postJSON(`/api/reviews/${encodeURIComponent(r.id)}/report`, {
+      reason,
+    });
+    button.disabled = true;
+    button.textContent = "Reported / 已举报";
+    showToast("Thanks, a moderator will take a look. / 已举报，管理员会尽快处理。");
+  } catch (err) {
+    console.error(err);
+    showToast(`${err.message} / 举报失败`);
+  }
+}
+
+async function deleteReview(row, r) {
+  if (!confirm("Delete this review? / 确定删除这条评价吗？")) return;
+  try {
+    await requestJSON("DELETE", `/api/reviews/${encodeURIComponent(r.id)}`);
+    row.remove();
+    if (!reviewModalBody.querySelector(".review-item")) renderReviewEmpty();
+    showToast("Review deleted / 已删除评价");
+    loadReviewSummary();
+  } catch (err) {
+    console.error(err);
+    showToast("Failed to delete review / 删除失败");
+  }
+}
+
+// reset 为 true 时从第一页重新加载
+async function loadReviewPage(reset) {
+  if (!reviewModalLevel) return;
+  if (!reset && (reviewLoading || !reviewCursor)) return;
+
+  const requestId = ++reviewRequestId;
+  reviewLoading = true;
+
+  const params = new URLSearchParams({
+    sort: reviewModalSort ? reviewModalSort.value : "newest",
+    limit: String(REVIEW_PAGE_SIZE),
+  });
+  if (!reset) params.set("cursor", reviewCursor);
+
+  try {
+    const data = await getJSON(
+      `/api/reviews/${encodeURIComponent(reviewModalLevel)}?${params}`
+    );
+    if (requestId !== reviewRequestId) return;
 
-    try {
-      await postJSON("/api/reviews", {
-        username: currentUser,
-        password: currentPassword,
-        cardLevel: currentPreviewLevel,
-        text,
-      });
-      showToast("Review sent / 发送成功");
-      if (imageViewerReviewInput) imageViewerReviewInput.value = "";
-    } catch (err) {
-      console.error(err);
-      showToast("Failed to send review / 发送失败");
+    if (reset) {
+      reviewModalBody.innerHTML = "";
+      reviewModalBody.scrollTop = 0;
+      renderReviewSummary(data.summary);
+      if (!data.reviews.length) renderReviewEmpty();
     }
-  });
-}
+    data.reviews.forEach((r) => {
+      reviewModalBody.appendChild(createReviewItem(r));
+    });
+    reviewCursor = data.nextCursor;
+  } catch (err) {
+    console.error(err);
+    if (reset) showToast("Failed to load reviews / 加载评价失败");
+    return;
+  } finally {
+    if (requestId === reviewRequestId) reviewLoading = false;
+  }
 
-/* =============================
-   按等级查看评论 Modal
-   ============================= */
+  // 第一页不够撑出滚动条时继续加载
+  if (
+    reviewCursor &&
+    reviewModalBody.scrollHeight <= reviewModalBody.clientHeight
+  ) {
+    loadReviewPage(false);
+  }
+}
 
-function openReviewModal(level, reviews) {
+function openReviewModal(level) {
   if (!reviewModal || !reviewModalBody || !reviewModalTitle) return;
 
   let titleText;
@@ -597,30 +2370,11 @@ function openReviewModal(level, reviews) {
 
   reviewModalTitle.textContent = titleText;
   reviewModalBody.innerHTML = "";
+  if (reviewModalSummary) reviewModalSummary.textContent = "";
 
-  if (!reviews || !reviews.length) {
-    const empty = document.createElement("div");
-    empty.className = "review-empty";
-    empty.textContent = "No reviews yet / 暂无评价";
-    reviewModalBody.appendChild(empty);
-  } else {
-    reviews.forEach((r) => {
-      const row = document.createElement("div");
-      row.className = "review-item";
-
-      const header = document.createElement("div");
-      header.className = "review-header";
-      header.textContent = r.username || "Unknown";
-
-      const textEl = document.createElement("div");
-      textEl.className = "review-text";
-      textEl.textContent = r.text;
-
-      row.appendChild(header);
-      row.appendChild(textEl);
-      reviewModalBody.appendChild(row);
-    });
-  }
+  reviewModalLevel = level;
+  reviewCursor = null;
+  loadReviewPage(true);
 
   reviewModal.classList.add("show");
   document.body.style.overflow = "hidden";
@@ -630,6 +2384,9 @@ function closeReviewModal() {
   if (!reviewModal) return;
   reviewModal.classList.remove("show");
   document.body.style.overflow = "";
+  reviewModalLevel = null;
+  reviewRequestId += 1;
+  reviewLoading = false;
 }
 
 if (reviewModalClose) {
@@ -638,11 +2395,20 @@ if (reviewModalClose) {
 if (reviewModalBackdrop) {
   reviewModalBackdrop.addEventListener("click", closeReviewModal);
 }
+if (reviewModalSort) {
+  reviewModalSort.addEventListener("change", () => loadReviewPage(true));
+}
+if (reviewModalBody) {
+  reviewModalBody.addEventListener("scroll", () => {
+    const { scrollTop, clientHeight, scrollHeight } = reviewModalBody;
+    if (scrollTop + clientHeight >= scrollHeight - 40) loadReviewPage(false);
+  });
+}
 
 /* 点击 Lottery 上的稀有度按钮加载该等级评论 */
 
 if (rarityRow) {
-  rarityRow.addEventListener("click", async (event) => {
+  rarityRow.addEventListener("click", (event) => {
     const target = event.target;
     if (!target) return;
     const item = target.closest(".rarity-item");
@@ -651,17 +2417,404 @@ if (rarityRow) {
     const level = item.dataset.level;
     if (!level) return;
 
-    try {
-      const res = await fetch(`/api/reviews/${encodeURIComponent(level)}`);
-      const data = await res.json();
-      if (!res.ok) {
-        throw new Error(data.error || "Failed to load reviews");
-      }
-      openReviewModal(level, data.reviews || []);
-    } catch (err) {
-      console.error(err);
-      alert("Failed to load reviews / 加载评价失败");
+    openReviewModal(level);
+  });
+}
+
+/* =============================
+   掉落表：稀有度按钮 + 抽卡费用
+   ============================= */
+
+// 各等级的平均星级（来自 /api/reviews/summary）
+let reviewSummary = {};
+
+async function loadReviewSummary() {
+  try {
+    const data = await getJSON("/api/reviews/summary");
+    reviewSummary = data.summary || {};
+    renderRarityRow();
+  } catch (err) {
+    console.warn("loadReviewSummary failed:", err.message);
+  }
+}
+
+function renderRarityRow() {
+  const table = getDrawTable();
+  if (!rarityRow || !table) return;
+  rarityRow.innerHTML = "";
+
+  table.levels.forEach((l) => {
+    const item = document.createElement("button");
+    item.className = "rarity-item";
+    item.type = "button";
+    item.dataset.level = l.level;
+
+    const badge = document.createElement("span");
+    badge.className = `badge ${l.level === "NONE" ? "badge-none" : "badge-" + l.level}`;
+    badge.textContent = l.badge;
+
+    const rate = document.createElement("span");
+    rate.textContent = fmtRate(l.rate);
+
+    item.appendChild(badge);
+    item.appendChild(rate);
+
+    const summary = reviewSummary[l.level];
+    if (summary) {
+      const stars = document.createElement("span");
+      stars.className = "rarity-rating";
+      stars.textContent = `★${summary.average.toFixed(1)}`;
+      item.title = `${summary.average.toFixed(1)} / 5 · ${summary.count} ratings / 条评分`;
+      item.appendChild(stars);
+    }
+
+    rarityRow.appendChild(item);
+  });
+}
+
+function renderDrawCost() {
+  if (drawCostTag) {
+    drawCostTag.textContent = `${drawCost} coins per draw / 每次消耗 ${drawCost} 枚硬币`;
+  }
+  if (drawCostSub) {
+    drawCostSub.textContent = `Spend ${drawCost} coins / 消耗 ${drawCost} 枚硬币`;
+  }
+  if (drawMultiBtn) {
+    drawMultiBtn.style.display = multiDraw ? "" : "none";
+  }
+  if (drawMultiSub && multiDraw) {
+    drawMultiSub.textContent = `Spend ${multiDraw.cost} coins / 消耗 ${multiDraw.cost} 枚硬币`;
+  }
+}
+
+async function loadDropTable() {
+  try {
+    const res = await fetch("/api/gacha/table");
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Failed to load drop table");
+    }
+    dropTable = data;
+  } catch (err) {
+    console.warn("loadDropTable failed:", err.message);
+    return;
+  }
+
+  applyDrawTable();
+  renderHistoryFilter();
+  renderInventory();
+  renderStats();
+}
+
+/* =============================
+   限时卡池
+   ============================= */
+
+// 服务端推送的进行中 / 即将开始的卡池；selectedBannerId 为 null 时使用常驻卡池
+let banners = [];
+let selectedBannerId = null;
+
+function getSelectedBanner() {
+  return banners.find((b) => b.id === selectedBannerId) || null;
+}
+
+function getDrawTable() {
+  const banner = getSelectedBanner();
+  return banner ? banner.table : dropTable;
+}
+
+// 切换卡池后，概率、费用和宣传图都跟着变
+function applyDrawTable() {
+  const table = getDrawTable();
+  if (!table) return;
+  drawCost = table.cost;
+  multiDraw = table.multi || null;
+
+  renderRarityRow();
+  renderDrawCost();
+  renderBannerArt();
+  renderStats();
+}
+
+function fmtCountdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  return days ? `${days}d ${fmtHMS(total % 86400)}` : fmtHMS(total);
+}
+
+function getBannerTimerText(banner, now = Date.now()) {
+  if (now < new Date(banner.startsAt).getTime()) {
+    const left = new Date(banner.startsAt).getTime() - now;
+    return `Starts in ${fmtCountdown(left)} / 即将开始`;
+  }
+  const left = new Date(banner.endsAt).getTime() - now;
+  return `Ends in ${fmtCountdown(left)} / 剩余`;
+}
+
+function isBannerOpen(banner, now = Date.now()) {
+  return (
+    now >= new Date(banner.startsAt).getTime() &&
+    now < new Date(banner.endsAt).getTime()
+  );
+}
+
+function renderBannerTabs() {
+  if (!bannerTabs) return;
+  bannerTabs.innerHTML = "";
+  if (!banners.length) return;
+
+  const standard = document.createElement("button");
+  standard.type = "button";
+  standard.className = "banner-tab";
+  standard.dataset.bannerId = "";
+  if (!selectedBannerId) standard.classList.add("active");
+  standard.textContent = "Standard / 常驻";
+  bannerTabs.appendChild(standard);
+
+  banners.forEach((b) => {
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.className = "banner-tab";
+    tab.dataset.bannerId = b.id;
+    if (b.id === selectedBannerId) tab.classList.add("active");
+    tab.disabled = !isBannerOpen(b);
+
+    const name = document.createElement("span");
+    name.textContent = `${b.name} / ${b.nameZh}`;
+
+    const timer = document.createElement("span");
+    timer.className = "banner-tab-timer";
+    timer.dataset.bannerId = b.id;
+    timer.textContent = getBannerTimerText(b);
+
+    tab.appendChild(name);
+    tab.appendChild(timer);
+    bannerTabs.appendChild(tab);
+  });
+}
+
+function renderBannerArt() {
+  if (!bannerArt) return;
+  const banner = getSelectedBanner();
+  if (!banner || !banner.image) {
+    bannerArt.style.display = "none";
+    return;
+  }
+  bannerArt.style.display = "";
+  bannerArtImg.src = banner.image;
+  bannerArtLabel.textContent = `${banner.name} / ${banner.nameZh}`;
+}
+
+function selectBanner(id) {
+  selectedBannerId = id || null;
+  renderBannerTabs();
+  applyDrawTable();
+}
+
+// 每秒刷新倒计时；开始 / 结束的时间点到了就重绘标签（以服务端推送为准）
+function updateBannerCountdowns() {
+  if (!bannerTabs || !banners.length) return;
+  const now = Date.now();
+
+  const selected = getSelectedBanner();
+  if (selected && !isBannerOpen(selected, now)) {
+    log(`Banner "${selected.name}" has ended. / 限时卡池「${selected.nameZh}」已结束。`);
+    selectBanner(null);
+    return;
+  }
+
+  bannerTabs.querySelectorAll(".banner-tab").forEach((tab) => {
+    const banner = banners.find((b) => b.id === tab.dataset.bannerId);
+    if (!banner) return;
+    tab.disabled = !isBannerOpen(banner, now);
+    const timer = tab.querySelector(".banner-tab-timer");
+    if (timer) timer.textContent = getBannerTimerText(banner, now);
+  });
+}
+
+function setBanners(list) {
+  banners = (list || []).filter((b) => new Date(b.endsAt) > new Date());
+  const selected = getSelectedBanner();
+  if (selectedBannerId && !selected) {
+    log("The selected banner has ended. / 所选的限时卡池已结束。");
+    selectedBannerId = null;
+  }
+  renderBannerTabs();
+  applyDrawTable();
+}
+
+async function loadBanners() {
+  try {
+    const res = await fetch("/api/banners");
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Failed to load banners");
+    }
+    setBanners(data.banners);
+  } catch (err) {
+    console.warn("loadBanners failed:", err.message);
+  }
+}
+
+if (bannerTabs) {
+  bannerTabs.addEventListener("click", (event) => {
+    const tab = event.target.closest(".banner-tab");
+    if (!tab || tab.disabled) return;
+    selectBanner(tab.dataset.bannerId);
+  });
+}
+
+/* =============================
+   可验证公平
+   ============================= */
+
+// 只显示当前 serverSeed 的哈希；复算与更换种子在 verify.html
+async function loadFairness() {
+  if (!fairInfo) return;
+  if (!loggedIn) {
+    fairInfo.textContent = "";
+    return;
+  }
+
+  try {
+    const { current } = await getJSON("/api/fair");
+    fairInfo.innerHTML = "";
+    fairInfo.append(
+      `Provably fair / 可验证公平 · seed hash ${current.serverSeedHash.slice(0, 16)}… · client seed ${current.clientSeed} · nonce ${current.nonce} · `
+    );
+    const link = document.createElement("a");
+    link.href = "./verify.html";
+    link.target = "_blank";
+    link.textContent = "Verify / 验证";
+    fairInfo.appendChild(link);
+  } catch (err) {
+    console.warn("loadFairness failed:", err.message);
+  }
+}
+
+/* =============================
+   掉落统计
+   ============================= */
+
+// 有新的抽卡时合并成一次刷新
+const DROP_STATS_RELOAD_DELAY = 2000;
+let dropStatsReloadTimer = null;
+
+// 日期输入按本地时间解释，to 包含当天整天
+function getDropStatsRange() {
+  const from = dropStatsFrom?.value
+    ? new Date(`${dropStatsFrom.value}T00:00:00`).toISOString()
+    : "";
+  const to = dropStatsTo?.value
+    ? new Date(`${dropStatsTo.value}T23:59:59.999`).toISOString()
+    : "";
+  return { from, to };
+}
+
+function renderDropStats(stats) {
+  if (!dropStatsChart) return;
+  dropStatsChart.innerHTML = "";
+
+  // 横轴按最大的概率 / 区间上限缩放，低概率等级也能看清
+  const scale = Math.max(
+    ...stats.levels.map((l) =>
+      Math.max(l.expected, stats.total ? l.ci[1] : 0)
+    )
+  );
+  const pct = (v) => `${Math.min(100, (v / scale) * 100)}%`;
+
+  stats.levels.forEach((l) => {
+    const row = document.createElement("div");
+    row.className = "drop-stats-row";
+
+    const badge = document.createElement("span");
+    badge.className = `badge ${l.level === "NONE" ? "badge-none" : "badge-" + l.level}`;
+    badge.textContent = getLevelInfo(l.level)?.badge || l.level;
+
+    const track = document.createElement("div");
+    track.className = "drop-stats-track";
+    if (stats.total) {
+      const ci = document.createElement("div");
+      ci.className = "drop-stats-ci";
+      ci.style.left = pct(l.ci[0]);
+      ci.style.width = `calc(${pct(l.ci[1])} - ${pct(l.ci[0])})`;
+      const bar = document.createElement("div");
+      bar.className = "drop-stats-bar";
+      bar.style.width = pct(l.observed);
+      track.appendChild(ci);
+      track.appendChild(bar);
     }
+    const expected = document.createElement("div");
+    expected.className = "drop-stats-expected";
+    expected.style.left = pct(l.expected);
+    track.appendChild(expected);
+
+    const value = document.createElement("span");
+    value.className = "drop-stats-value";
+    value.textContent = `${fmtRate(l.observed)} / ${fmtRate(l.expected)} (${l.count})`;
+    value.title = `95% CI: ${fmtRate(l.ci[0])} – ${fmtRate(l.ci[1])}`;
+
+    row.appendChild(badge);
+    row.appendChild(track);
+    row.appendChild(value);
+    dropStatsChart.appendChild(row);
+  });
+
+  if (!dropStatsSummary) return;
+  if (!stats.total) {
+    dropStatsSummary.textContent = "No draws in this range yet. / 该时间段内还没有抽卡记录。";
+    return;
+  }
+
+  const { statistic, df, pValue } = stats.chiSquare;
+  const verdict =
+    pValue !== null && pValue < 0.01
+      ? "Significant deviation from the advertised rates. / 与公布概率存在显著偏差。"
+      : "Consistent with the advertised rates. / 与公布概率相符。";
+  dropStatsSummary.textContent = `${stats.total} draws (${stats.excludedPity} pity draws excluded) · χ² = ${statistic.toFixed(2)}, df = ${df}, p = ${pValue === null ? "—" : pValue.toPrecision(3)} · ${verdict}`;
+}
+
+async function loadDropStats() {
+  if (!dropStatsChart) return;
+  const { from, to } = getDropStatsRange();
+  const params = new URLSearchParams();
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+
+  try {
+    const res = await fetch(`/api/stats/drops?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || "Failed to load drop stats");
+    }
+    renderDropStats(data);
+  } catch (err) {
+    console.warn("loadDropStats failed:", err.message);
+  }
+}
+
+// 只在新抽卡落在当前筛选范围内时刷新
+function handleNewDraws({ bannerId, at }) {
+  if (bannerId) return;
+  const { from, to } = getDropStatsRange();
+  if ((from && at < from) || (to && at > to)) return;
+
+  if (dropStatsReloadTimer) return;
+  dropStatsReloadTimer = setTimeout(() => {
+    dropStatsReloadTimer = null;
+    loadDropStats();
+  }, DROP_STATS_RELOAD_DELAY);
+}
+
+[dropStatsFrom, dropStatsTo].forEach((el) => {
+  if (el) el.addEventListener("change", loadDropStats);
+});
+
+if (dropStatsClear) {
+  dropStatsClear.addEventListener("click", () => {
+    if (dropStatsFrom) dropStatsFrom.value = "";
+    if (dropStatsTo) dropStatsTo.value = "";
+    loadDropStats();
   });
 }
 
@@ -669,9 +2822,34 @@ if (rarityRow) {
    Stats 渲染
    ============================= */
 
+// 保底进度：计数来自服务端 state.pity
+function renderPity() {
+  if (!pityInfo) return;
+  const config = dropTable && dropTable.pity;
+  if (!config || !loggedIn) {
+    pityInfo.textContent = "";
+    return;
+  }
+
+  const pity = state.pity || {};
+  const { level: gLevel, within } = config.guarantee;
+  const left = Math.max(1, within - (pity.sinceGuarantee || 0));
+  const { level: sLevel, start } = config.soft;
+  const sinceSoft = pity.sinceSoft || 0;
+
+  pityInfo.textContent =
+    `Pity: ${gLevel} or better guaranteed within ${left} draw(s) · ` +
+    `${sLevel} rate rises after ${start} draws without ${sLevel} (${sinceSoft} so far) / ` +
+    `保底：${left} 次内必出 ${gLevel} 及以上 · ` +
+    `连续 ${start} 次未出 ${sLevel} 后概率逐步提升（当前 ${sinceSoft} 次）`;
+}
+
 function renderStats() {
   const coins = getAvailableCoins();
-  const lifetime = state.totalSeconds || 0;
+  // 服务端已计入的时间 + 本页面还没上报的部分
+  const lifetime =
+    (state.totalSeconds || 0) +
+    Math.floor((pendingActiveMs + inFlightActiveMs) / 1000);
 
   if (usernameLabel) usernameLabel.textContent = currentUser || "—";
   if (usernameLabelSide) usernameLabelSide.textContent = currentUser || "—";
@@ -679,19 +2857,44 @@ function renderStats() {
   if (sessionTimerEl) sessionTimerEl.textContent = fmtHMS(lifetime);
 
   if (drawBtn) {
-    drawBtn.disabled = !(loggedIn && coins >= 3);
+    drawBtn.disabled = !(loggedIn && coins >= drawCost);
+  }
+  if (drawMultiBtn) {
+    drawMultiBtn.disabled = !(loggedIn && multiDraw && coins >= multiDraw.cost);
   }
+
+  renderPity();
 }
 
 /* =============================
    Collect +1 按钮逻辑
    ============================= */
 
+// 当前这枚硬币的领取令牌（服务端下发，只能用一次）
+let coinOffer = null;
+// 按钮出现后鼠标是否移动过，随领取请求上报；触屏设备不看这一项
+let pointerMovedForCoin = false;
+
+document.addEventListener("mousemove", () => {
+  if (coinButtonVisible) pointerMovedForCoin = true;
+});
+
+// position 为 0–1 的相对位置，换算成按钮在 Player 卡片里的坐标
+function placeCoinButton(position) {
+  const card = coinSpawnBtn.parentElement;
+  const maxLeft = Math.max(0, card.clientWidth - coinSpawnBtn.offsetWidth);
+  const maxTop = Math.max(0, card.clientHeight - coinSpawnBtn.offsetHeight);
+  coinSpawnBtn.style.left = `${Math.round((position?.x ?? 0.5) * maxLeft)}px`;
+  coinSpawnBtn.style.top = `${Math.round((position?.y ?? 0.5) * maxTop)}px`;
+}
+
 function showCoinButton() {
   if (!coinSpawnBtn || coinButtonVisible || !loggedIn) return;
 
   coinButtonVisible = true;
+  pointerMovedForCoin = false;
   coinSpawnBtn.style.display = "inline-flex";
+  placeCoinButton(coinOffer?.position);
   coinSpawnBtn.disabled = false;
   coinSpawnBtn.classList.add("coin-claim-visible");
 
@@ -719,34 +2922,57 @@ function hideCoinButton() {
 }
 
 if (coinSpawnBtn) {
-  coinSpawnBtn.addEventListener("click", () => {
-    if (!coinButtonVisible || !loggedIn) return;
+  coinSpawnBtn.addEventListener("click", async (e) => {
+    if (!coinButtonVisible || !loggedIn || !coinOffer) return;
+    const token = coinOffer.token;
+    coinOffer = null;
 
     coinSpawnBtn.classList.add("coin-claim-clicked");
-    state.coinsClaimed = (state.coinsClaimed || 0) + 1;
-
-    renderStats();
-    log("You claimed +1 coin! / 你成功领取了 1 枚硬币。");
-    syncState();
-    sendPresence(true);
+    coinSpawnBtn.disabled = true;
 
     if (coinButtonTimeoutId) {
       clearTimeout(coinButtonTimeoutId);
       coinButtonTimeoutId = null;
     }
+
+    try {
+      const data = await postJSON("/api/coins/claim", {
+        token,
+        trusted: e.isTrusted,
+        touch: isTouchDevice,
+        moved: pointerMovedForCoin,
+      });
+      applyServerState(data.state);
+      log("You claimed +1 coin! / 你成功领取了 1 枚硬币。");
+    } catch (err) {
+      log(`Coin claim failed: ${err.message} / 领取硬币失败。`);
+    }
+
+    renderStats();
+    sendPresence(true);
     setTimeout(hideCoinButton, 180);
   });
 }
 
-function maybeSpawnCoinFromTime() {
-  const total = state.totalSeconds || 0;
-  const thresholdIndex = Math.floor(total / COIN_INTERVAL);
-  if (thresholdIndex > (state.coinEventsTriggered || 0) && !coinButtonVisible) {
-    state.coinEventsTriggered = thresholdIndex;
-    showCoinButton();
-    syncState();
-    sendPresence(true);
+// 服务端判定新的硬币事件到期（心跳返回或 coin:due 推送，同一事件只弹一次）
+let lastCoinEventShown = 0;
+
+function handleCoinDue(offer) {
+  const event = offer?.event;
+  if (!loggedIn || !(event > 0)) return;
+  // 事件序号只会增加；比已经弹过的还小，说明账号在别处重置过，从头计数
+  if (event < lastCoinEventShown) {
+    lastCoinEventShown = 0;
+    state.coinEventsTriggered = 0;
   }
+  if (!(event > lastCoinEventShown)) return;
+  lastCoinEventShown = event;
+  state.coinEventsTriggered = Math.max(state.coinEventsTriggered || 0, event);
+  // 上一枚还没消失时直接换成新的令牌和位置
+  hideCoinButton();
+  coinOffer = offer;
+  showCoinButton();
+  sendPresence(true);
 }
 
 /* =============================
@@ -754,18 +2980,22 @@ function maybeSpawnCoinFromTime() {
    ============================= */
 
 let presenceTicks = 0;
-let secondsSinceLastSync = 0;
+let msSinceLastSync = 0;
+let wasActive = false;
+
+function reconnectSocket() {
+  if (!socket) return;
+  socket.disconnect();
+  socket.connect();
+}
 
 function sendPresence(force = false) {
   if (!socket || !loggedIn || !currentUser) return;
   if (!force && presenceTicks < 5) return;
 
   presenceTicks = 0;
+  // 账号由握手时的会话决定，这里只上报展示偏好；硬币和卡牌由服务端填写
   socket.emit("presence:update", {
-    username: currentUser,
-    totalSeconds: state.totalSeconds || 0,
-    coins: getAvailableCoins(),
-    lastCards: (state.cards || []).slice(-3),
     hideCoins: hideCoinsInSocial,
   });
 }
@@ -775,62 +3005,39 @@ function sendPresence(force = false) {
    ============================= */
 
 function tick() {
-  if (isActiveForTimer()) {
-    state.totalSeconds = (state.totalSeconds || 0) + 1;
-    secondsSinceLastSync += 1;
+  maybeTakeOverLocally();
+  const active = isActiveForTimer();
+  if (active) {
+    pendingActiveMs += 1000;
     presenceTicks += 1;
-
-    if (secondsSinceLastSync >= 10) {
-      syncState();
-      secondsSinceLastSync = 0;
-    }
-
     sendPresence(false);
   }
 
+  // 登录期间定时发心跳；活跃状态切换时立即发一次，服务端据此判断这段时间是否有效
+  msSinceLastSync += 1000;
+  if (loggedIn && (msSinceLastSync >= HEARTBEAT_INTERVAL || active !== wasActive)) {
+    syncState();
+    msSinceLastSync = 0;
+  }
+  wasActive = active;
+
   renderStats();
-  maybeSpawnCoinFromTime();
+  if (pendingTrades.size) renderTrades();
+  updateBannerCountdowns();
   setTimeout(tick, 1000);
 }
 tick();
 
 /* =============================
-   抽卡逻辑（更新后的概率）
+   抽卡逻辑（结果由服务端决定）
    ============================= */
 
-function drawResult() {
-  const r = Math.random();
-
-  // 新概率：
-  // NONE: 20%
-  // F   : 25%
-  // E   : 25%
-  // D   : 12.5%
-  // C   : 10%
-  // B   : 5%
-  // A   : 2%
-  // S   : 0.5%
-  if (r < 0.2) return "NONE";
-  else if (r < 0.45) return "F";
-  else if (r < 0.7) return "E";
-  else if (r < 0.825) return "D";
-  else if (r < 0.925) return "C";
-  else if (r < 0.975) return "B";
-  else if (r < 0.995) return "A";
-  return "S";
-}
-
 function flipToCard(result) {
   flipCard.classList.remove("flipped");
   cardFront.src = "./assets/cards/back.jpg";
 
   setTimeout(() => {
-    const imgPath =
-      result === "NONE"
-        ? "./assets/cards/NONE.jpg"
-        : `./assets/cards/${result}.jpg`;
-
-    cardBackImg.src = imgPath;
+    cardBackImg.src = cardImage(result);
     flipCard.classList.add("flipped");
 
     setTimeout(() => {
@@ -841,42 +3048,159 @@ function flipToCard(result) {
   }, 20);
 }
 
-drawBtn.addEventListener("click", () => {
+/* ========== 十连：一组翻牌 + 跳过动画 ========== */
+
+let multiRevealTimers = [];
+
+function clearMultiRevealTimers() {
+  multiRevealTimers.forEach((id) => clearTimeout(id));
+  multiRevealTimers = [];
+}
+
+function createMiniFlipCard(result) {
+  const card = document.createElement("div");
+  card.className = "flip flip-mini";
+  if (result.guaranteed) card.classList.add("flip-guaranteed");
+
+  const inner = document.createElement("div");
+  inner.className = "flip-inner";
+
+  const front = document.createElement("div");
+  front.className = "flip-face flip-front";
+  const frontImg = document.createElement("img");
+  frontImg.src = "./assets/cards/back.jpg";
+  frontImg.alt = "Card back";
+  front.appendChild(frontImg);
+
+  const back = document.createElement("div");
+  back.className = "flip-face flip-back";
+  const backImg = document.createElement("img");
+  backImg.src = cardImage(result.level);
+  backImg.alt = cardName(result.level);
+  back.appendChild(backImg);
+
+  inner.appendChild(front);
+  inner.appendChild(back);
+  card.appendChild(inner);
+  return card;
+}
+
+function showMultiReveal(results) {
+  if (!multiReveal || !multiRevealGrid) return;
+  clearMultiRevealTimers();
+  multiReveal.classList.remove("skip");
+  multiRevealGrid.innerHTML = "";
+
+  results.forEach((r, i) => {
+    const card = createMiniFlipCard(r);
+    multiRevealGrid.appendChild(card);
+    multiRevealTimers.push(
+      setTimeout(
+        () => card.classList.add("flipped"),
+        60 + i * MULTI_FLIP_STAGGER
+      )
+    );
+  });
+
+  if (flipZone) flipZone.style.display = "none";
+  multiReveal.classList.add("show");
+}
+
+function skipMultiReveal() {
+  if (!multiReveal || !multiRevealGrid) return;
+  clearMultiRevealTimers();
+  multiReveal.classList.add("skip");
+  multiRevealGrid
+    .querySelectorAll(".flip")
+    .forEach((card) => card.classList.add("flipped"));
+}
+
+function hideMultiReveal() {
+  if (!multiReveal) return;
+  clearMultiRevealTimers();
+  multiReveal.classList.remove("show", "skip");
+  if (multiRevealGrid) multiRevealGrid.innerHTML = "";
+  if (flipZone) flipZone.style.display = "";
+}
+
+if (multiRevealSkip) {
+  multiRevealSkip.addEventListener("click", skipMultiReveal);
+}
+if (multiRevealClose) {
+  multiRevealClose.addEventListener("click", hideMultiReveal);
+}
+
+/* ========== 单抽 / 十连（由服务端一次性完成扣费与发卡） ========== */
+
+async function performDraw(count) {
   if (!loggedIn) {
     alert("Please log in first. / 请先登录账号。");
     return;
   }
 
+  const cost = count === 1 ? drawCost : multiDraw?.cost;
   const coins = getAvailableCoins();
-  if (coins < 3) {
-    alert("Not enough coins! / 当前硬币不足 3 枚。");
+  if (coins < cost) {
+    alert(`Not enough coins! / 当前硬币不足 ${cost} 枚。`);
     return;
   }
 
-  state.coinsSpent = (state.coinsSpent || 0) + 3;
-  if (!state.cards) state.cards = [];
+  drawBtn.disabled = true;
+  if (drawMultiBtn) drawMultiBtn.disabled = true;
 
-  const result = drawResult();
-  state.cards.push(result);
+  let results;
+  try {
+    const data = await postJSON("/api/draw", {
+      count,
+      bannerId: selectedBannerId,
+      version: state.version || 0,
+    });
+    results = data.results || [
+      { level: data.result, guaranteed: !!data.guaranteed },
+    ];
+    applyServerState(data.state);
+  } catch (err) {
+    if (err.conflict) refreshState();
+    log(`Draw failed: ${err.message} / 抽卡失败。`);
+    // 卡池可能刚刚结束，重新拉一次列表
+    if (selectedBannerId) loadBanners();
+    renderStats();
+    return;
+  }
 
   renderInventory();
   renderStats();
-  flipToCard(result);
-  syncState();
+  loadHistory(true);
+  loadFairness();
+  if (results.length === 1) {
+    hideMultiReveal();
+    flipToCard(results[0].level);
+  } else {
+    showMultiReveal(results);
+  }
   sendPresence(true);
 
-  log(
-    `You drew: ${
-      result === "NONE" ? "No Prize" : "Card " + result
-    } / 抽到结果：${result === "NONE" ? "未中奖" : "卡牌 " + result}。`
-  );
-});
+  results.forEach(({ level, guaranteed }) => {
+    log(`You drew: ${cardName(level)} / 抽到结果：${cardNameZh(level)}。`);
+    if (guaranteed) {
+      log("Pity guarantee triggered! / 触发保底！");
+    }
+  });
+}
+
+drawBtn.addEventListener("click", () => performDraw(1));
+
+if (drawMultiBtn) {
+  drawMultiBtn.addEventListener("click", () => {
+    if (multiDraw) performDraw(multiDraw.count);
+  });
+}
 
 /* =============================
    Reset：重置当前账号数据
    ============================= */
 
-resetBtn.addEventListener("click", () => {
+resetBtn.addEventListener("click", async () => {
   if (!loggedIn) {
     alert("Please log in first. / 请先登录账号。");
     return;
@@ -888,24 +3212,35 @@ resetBtn.addEventListener("click", () => {
   ) {
     return;
   }
+  // 签到的连续天数默认保留，需要单独确认才会一起清掉
+  const clearCheckin = confirm(
+    "Also clear your daily check-in streak? / 是否同时清除每日签到的连续天数？（取消则保留）"
+  );
 
   hideCoinButton();
 
-  state = {
-    totalSeconds: 0,
-    coinsSpent: 0,
-    cards: [],
-    coinsClaimed: 0,
-    coinEventsTriggered: 0,
-  };
+  try {
+    const data = await postJSON("/api/reset", {
+      clearCheckin,
+      version: state.version || 0,
+    });
+    state = data.state;
+    // 重置后服务端的硬币事件从 0 重新计数
+    lastCoinEventShown = state.coinEventsTriggered || 0;
+  } catch (err) {
+    if (err.conflict) refreshState();
+    log(`Reset failed: ${err.message} / 重置失败。`);
+    return;
+  }
 
   renderInventory();
   renderStats();
+  hideMultiReveal();
+  loadHistory(true);
   flipCard.classList.remove("flipped");
   cardFront.src = "./assets/cards/back.jpg";
   cardBackImg.src = "./assets/cards/back.jpg";
 
-  syncState();
   sendPresence(true);
   log("Account data has been reset. / 当前账号的数据已清零。");
 });
@@ -915,7 +3250,8 @@ resetBtn.addEventListener("click", () => {
    ============================= */
 
 if (typeof io !== "undefined") {
-  socket = io();
+  // clientId 让服务端区分同一账号的不同页面，决定谁是 leader
+  socket = io({ auth: { clientId } });
 
   socket.on("totalTime", (t) => {
     globalSeconds = Number(t) || 0;
@@ -928,6 +3264,24 @@ if (typeof io !== "undefined") {
     renderOnlineUsers(users || []);
   });
 
+  socket.on("trade:list", (trades) => {
+    pendingTrades.clear();
+    (trades || []).forEach((t) => pendingTrades.set(t.id, t));
+    renderTrades();
+  });
+
+  socket.on("trade:update", handleTradeUpdate);
+
+  // 重新连接（例如登录、退出）后需要重新订阅排行榜
+  socket.on("connect", watchLeaderboard);
+  socket.on("leaderboard", renderLeaderboard);
+  socket.on("achievement:unlocked", handleAchievementUnlocked);
+  socket.on("banners", setBanners);
+  socket.on("stats:draws", handleNewDraws);
+  socket.on("review:reply", handleReviewReply);
+  socket.on("coin:due", handleCoinDue);
+  socket.on("leader", handleLeader);
+
   function globalTick() {
     if (globalTimerDisplay && isActiveForTimer()) {
       globalSeconds += 1;
@@ -944,6 +3298,18 @@ if (typeof io !== "undefined") {
 
 renderInventory();
 renderStats();
+loadDropTable();
+loadReviewSummary();
+loadBanners();
+loadAchievements();
+loadDropStats();
+
+// 已有有效会话时直接进入，不再要求输入密码
+restoreSession()
+  .then((data) => {
+    if (data && !loggedIn) enterSession(data);
+  })
+  .catch((err) => console.warn("restoreSession failed:", err.message));
 
 if (cardFront) cardFront.src = "./assets/cards/back.jpg";
 if (cardBackImg) cardBackImg.src = "./assets/cards/back.jpg";
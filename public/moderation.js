@@ -0,0 +1,232 @@
+/* =============================
+   评论审核：管理员处理待审核 / 被举报的评论
+   ============================= */
+
+const modRefreshBtn = document.getElementById("modRefreshBtn");
+const modMessage = document.getElementById("modMessage");
+const modQueue = document.getElementById("modQueue");
+const modLogRows = document.getElementById("modLogRows");
+const coinReportRows = document.getElementById("coinReportRows");
+const muteUsername = document.getElementById("muteUsername");
+const muteMinutes = document.getElementById("muteMinutes");
+const muteReason = document.getElementById("muteReason");
+const muteBtn = document.getElementById("muteBtn");
+const unmuteBtn = document.getElementById("unmuteBtn");
+
+async function getJSON(url) {
+  const res = await fetch(url, { credentials: "same-origin" });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+async function postJSON(url, body = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+const STATUS_LABELS = {
+  visible: "Visible / 显示中",
+  pending: "Pending / 待审核",
+  hidden: "Hidden / 已隐藏",
+};
+
+/* ========== 待处理队列 ========== */
+
+function createQueueItem(review) {
+  const item = document.createElement("div");
+  item.className = "mod-item";
+
+  const meta = document.createElement("div");
+  meta.className = "mod-meta";
+  meta.textContent = [
+    review.replyTo ? `Reply on ${review.level} / 回复` : review.level,
+    review.username,
+    review.rating ? "★".repeat(review.rating) : "—",
+    new Date(review.createdAt).toLocaleString(),
+    STATUS_LABELS[review.status] || review.status,
+  ].join(" · ");
+
+  const text = document.createElement("div");
+  text.className = "review-text";
+  text.textContent = review.text;
+
+  item.appendChild(meta);
+  item.appendChild(text);
+
+  if (review.flaggedWords.length) {
+    const flagged = document.createElement("div");
+    flagged.className = "mod-flags";
+    flagged.textContent = `Flagged words / 敏感词: ${review.flaggedWords.join(", ")}`;
+    item.appendChild(flagged);
+  }
+
+  review.reports.forEach((report) => {
+    const line = document.createElement("div");
+    line.className = "mod-flags";
+    line.textContent = `Reported by / 举报人 ${report.username}${report.reason ? `: ${report.reason}` : ""}`;
+    item.appendChild(line);
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "verify-form";
+  [
+    ["approve", "Approve / 通过", "btn primary"],
+    ["hide", "Hide / 隐藏", "btn"],
+    ["delete", "Delete / 删除", "btn"],
+  ].forEach(([action, label, className]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener("click", () => moderate(review, action));
+    actions.appendChild(btn);
+  });
+
+  const muteUserBtn = document.createElement("button");
+  muteUserBtn.type = "button";
+  muteUserBtn.className = "btn";
+  muteUserBtn.textContent = "Mute author / 禁言作者";
+  muteUserBtn.addEventListener("click", () => {
+    muteUsername.value = review.username;
+    muteReason.focus();
+  });
+  actions.appendChild(muteUserBtn);
+
+  item.appendChild(actions);
+  return item;
+}
+
+async function loadQueue() {
+  const data = await getJSON("/api/admin/reviews");
+  modQueue.innerHTML = "";
+  if (!data.reviews.length) {
+    const empty = document.createElement("div");
+    empty.className = "review-empty";
+    empty.textContent = "Nothing to review / 暂无待处理的评论";
+    modQueue.appendChild(empty);
+  }
+  data.reviews.forEach((r) => modQueue.appendChild(createQueueItem(r)));
+}
+
+/* ========== 硬币领取可疑分 ========== */
+
+async function loadCoinReport() {
+  const data = await getJSON("/api/admin/coins/suspicion");
+  coinReportRows.innerHTML = "";
+  data.users.forEach((u) => {
+    const row = document.createElement("tr");
+    if (u.suspicious) row.className = "mod-suspicious";
+    [
+      u.touch ? `${u.username} (touch / 触屏)` : u.username,
+      String(u.score),
+      `${u.recentClaimed} / ${u.recentOffers}`,
+      u.medianReactionMs === null ? "—" : `${u.medianReactionMs} ms`,
+      String(u.rejected.fast + u.rejected.scripted),
+      u.reasons.join("; ") || "—",
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    coinReportRows.appendChild(row);
+  });
+}
+
+/* ========== 审核日志 ========== */
+
+async function loadLog() {
+  const data = await getJSON("/api/admin/moderation/log?limit=200");
+  modLogRows.innerHTML = "";
+  data.log.forEach((entry) => {
+    const row = document.createElement("tr");
+    [
+      new Date(entry.at).toLocaleString(),
+      entry.actor,
+      entry.action,
+      entry.target || "—",
+      entry.detail || "",
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    modLogRows.appendChild(row);
+  });
+}
+
+async function refresh() {
+  modRefreshBtn.disabled = true;
+  try {
+    await Promise.all([loadQueue(), loadCoinReport(), loadLog()]);
+    modMessage.textContent = "";
+  } catch (err) {
+    modMessage.textContent = `${err.message} — admins only, log in on the main page first. / 仅限管理员，请先在主页面登录。`;
+  } finally {
+    modRefreshBtn.disabled = false;
+  }
+}
+
+/* ========== 操作 ========== */
+
+async function moderate(review, action) {
+  if (
+    action === "delete" &&
+    !confirm("Delete this review? / 确定删除这条评论吗？")
+  ) {
+    return;
+  }
+  const reason = prompt("Note for the audit log (optional) / 审核备注（可选）");
+  if (reason === null) return;
+
+  // 回复挂在所属评论下面
+  const path = review.replyTo
+    ? `${encodeURIComponent(review.replyTo)}/replies/${encodeURIComponent(review.id)}`
+    : encodeURIComponent(review.id);
+
+  try {
+    await postJSON(`/api/admin/reviews/${path}/${action}`, { reason });
+    modMessage.textContent = "Done. / 已处理。";
+  } catch (err) {
+    modMessage.textContent = `${err.message} / 操作失败。`;
+  }
+  refresh();
+}
+
+async function setMute(mute) {
+  const username = muteUsername.value.trim();
+  if (!username) return;
+  const url = `/api/admin/users/${encodeURIComponent(username)}/${mute ? "mute" : "unmute"}`;
+
+  try {
+    const data = await postJSON(
+      url,
+      mute
+        ? {
+            minutes: Number(muteMinutes.value),
+            reason: muteReason.value.trim(),
+          }
+        : {}
+    );
+    modMessage.textContent = mute
+      ? `${username} muted until ${new Date(data.mutedUntil).toLocaleString()} / 已禁言`
+      : `${username} unmuted / 已解除禁言`;
+    muteReason.value = "";
+  } catch (err) {
+    modMessage.textContent = `${err.message} / 操作失败。`;
+  }
+  loadLog().catch(() => {});
+}
+
+modRefreshBtn.addEventListener("click", refresh);
+muteBtn.addEventListener("click", () => setMute(true));
+unmuteBtn.addEventListener("click", () => setMute(false));
+
+refresh();
@@ -0,0 +1,316 @@
+/* =============================
+   可验证公平：在浏览器里复算抽卡结果
+   需要 WebCrypto（https 或 localhost）
+   ============================= */
+
+const verifySeeds = document.getElementById("verifySeeds");
+const verifyMessage = document.getElementById("verifyMessage");
+const clientSeedInput = document.getElementById("clientSeedInput");
+const clientSeedBtn = document.getElementById("clientSeedBtn");
+const rotateSeedBtn = document.getElementById("rotateSeedBtn");
+const verifyHistoryBtn = document.getElementById("verifyHistoryBtn");
+const verifySummary = document.getElementById("verifySummary");
+const verifyRows = document.getElementById("verifyRows");
+const manualServerSeed = document.getElementById("manualServerSeed");
+const manualClientSeed = document.getElementById("manualClientSeed");
+const manualNonce = document.getElementById("manualNonce");
+const manualBtn = document.getElementById("manualBtn");
+const manualResult = document.getElementById("manualResult");
+
+const encoder = new TextEncoder();
+
+async function getJSON(url) {
+  const res = await fetch(url, { credentials: "same-origin" });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+async function postJSON(url, body = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/* ========== 与 lib/fairness.js、lib/gacha.js 相同的算法 ========== */
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+// HMAC-SHA256(serverSeed, "clientSeed:nonce")，依次取 4 字节转成 [0, 1)
+async function createFairRng(serverSeed, clientSeed, nonce) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(serverSeed),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const digest = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${clientSeed}:${nonce}`)
+  );
+  const view = new DataView(digest);
+
+  let offset = 0;
+  const rng = () => {
+    const value = view.getUint32(offset) / 4294967296;
+    offset += 4;
+    return value;
+  };
+  rng.hex = toHex(digest);
+  return rng;
+}
+
+function levelFromRoll(roll, levels) {
+  const total = levels.reduce((sum, l) => sum + l.weight, 0);
+  let acc = 0;
+
+  const ordered = [...levels].reverse();
+  for (const l of ordered) {
+    acc += l.weight / total;
+    if (roll < acc) return l.level;
+  }
+  return ordered[ordered.length - 1].level;
+}
+
+function levelRank(level, levels) {
+  return levels.findIndex((l) => l.level === level);
+}
+
+function isAtLeast(level, minLevel, levels) {
+  return levelRank(level, levels) <= levelRank(minLevel, levels);
+}
+
+function withSoftPity(levels, pity, soft) {
+  const over = (pity.sinceSoft || 0) + 1 - soft.start;
+  if (over <= 0) return levels;
+  return levels.map((l) =>
+    l.level === soft.level && l.weight > 0
+      ? { ...l, weight: l.weight + over * soft.step }
+      : l
+  );
+}
+
+function drawWithPity(rng, pity, levels, config) {
+  const adjusted = withSoftPity(levels, pity, config.soft);
+  const { level: minLevel, within } = config.guarantee;
+
+  let level = levelFromRoll(rng(), adjusted);
+  if (
+    (pity.sinceGuarantee || 0) + 1 >= within &&
+    !isAtLeast(level, minLevel, levels)
+  ) {
+    const pool = adjusted.filter((l) => isAtLeast(l.level, minLevel, levels));
+    // 与服务端一致：保底等级在这个卡池里都抽不到时不触发保底
+    if (pool.some((l) => l.weight > 0)) level = levelFromRoll(rng(), pool);
+  }
+  return level;
+}
+
+/* ========== 数据加载 ========== */
+
+let standardTable = null;
+const bannerTables = new Map();
+
+async function loadStandardTable() {
+  if (!standardTable) standardTable = await getJSON("/api/gacha/table");
+  return standardTable;
+}
+
+// 限时卡池结束后仍能按 id 取到它的掉落表
+async function getBannerLevels(bannerId) {
+  if (!bannerTables.has(bannerId)) {
+    const data = await getJSON(`/api/banners/${encodeURIComponent(bannerId)}`);
+    bannerTables.set(bannerId, data.banner.table.levels);
+  }
+  return bannerTables.get(bannerId);
+}
+
+async function loadAllDraws() {
+  const draws = [];
+  let offset = 0;
+  while (offset !== null) {
+    const page = await getJSON(
+      `/api/me/draws?includeReset=1&offset=${offset}&limit=100`
+    );
+    draws.push(...page.draws);
+    offset = page.nextOffset;
+  }
+  return draws;
+}
+
+function renderSeeds(fair) {
+  const { current, revealed } = fair;
+  verifySeeds.innerHTML = "";
+
+  const lines = [
+    `Server seed hash / 服务端种子哈希: ${current.serverSeedHash}`,
+    `Client seed / 客户端种子: ${current.clientSeed}`,
+    `Next nonce / 下一个 nonce: ${current.nonce}`,
+    `Revealed seeds / 已公开的种子: ${revealed.length}`,
+  ];
+  lines.forEach((text) => {
+    const line = document.createElement("div");
+    line.textContent = text;
+    verifySeeds.appendChild(line);
+  });
+}
+
+async function loadSeeds() {
+  try {
+    renderSeeds(await getJSON("/api/fair"));
+  } catch (err) {
+    verifySeeds.textContent = `${err.message} — log in on the main page first. / 请先在主页面登录。`;
+  }
+}
+
+/* ========== 逐条验证 ========== */
+
+async function verifyDraw(draw, seedsByHash, config) {
+  const seed = seedsByHash.get(draw.fair.serverSeedHash);
+  if (!seed) return { status: "pending" };
+  // 公开的种子对不上当初承诺的哈希，这一抽无法被证明
+  if (!seed.hashOk) return { status: "mismatch" };
+
+  const levels = draw.bannerId
+    ? await getBannerLevels(draw.bannerId)
+    : standardTable.levels;
+  const rng = await createFairRng(
+    seed.serverSeed,
+    draw.fair.clientSeed,
+    draw.fair.nonce
+  );
+  const level = drawWithPity(rng, draw.fair.pity || {}, levels, config);
+  return { status: level === draw.level ? "ok" : "mismatch", level };
+}
+
+function appendRow(draw, result) {
+  const row = document.createElement("tr");
+  const cells = [
+    new Date(draw.drawnAt).toLocaleString(),
+    String(draw.fair.nonce),
+    draw.level,
+    result.level || "—",
+    {
+      ok: "✔ Match / 一致",
+      mismatch: "✘ Mismatch / 不一致",
+      pending: "… Pending / 待公开",
+      error: "? Error / 出错",
+    }[result.status],
+  ];
+  cells.forEach((text) => {
+    const td = document.createElement("td");
+    td.textContent = text;
+    row.appendChild(td);
+  });
+  row.className = `verify-row verify-${result.status}`;
+  verifyRows.appendChild(row);
+}
+
+async function verifyHistory() {
+  verifyHistoryBtn.disabled = true;
+  verifyRows.innerHTML = "";
+  verifySummary.textContent = "Loading… / 加载中…";
+
+  try {
+    await loadStandardTable();
+    const [fair, draws] = await Promise.all([
+      getJSON("/api/fair"),
+      loadAllDraws(),
+    ]);
+
+    // 确认公开的种子与当初承诺的哈希一致
+    const seedsByHash = new Map();
+    for (const seed of fair.revealed) {
+      const hashOk = (await sha256Hex(seed.serverSeed)) === seed.serverSeedHash;
+      seedsByHash.set(seed.serverSeedHash, { ...seed, hashOk });
+    }
+
+    const counts = { ok: 0, mismatch: 0, pending: 0, error: 0 };
+    for (const draw of draws.filter((d) => d.fair)) {
+      let result;
+      try {
+        result = await verifyDraw(draw, seedsByHash, standardTable.pity);
+      } catch (err) {
+        result = { status: "error" };
+      }
+      counts[result.status] += 1;
+      appendRow(draw, result);
+    }
+
+    verifySummary.textContent = `Match / 一致: ${counts.ok} · Mismatch / 不一致: ${counts.mismatch} · Pending / 待公开: ${counts.pending} · Error / 出错: ${counts.error}`;
+  } catch (err) {
+    verifySummary.textContent = `Verification failed: ${err.message} / 验证失败。`;
+  } finally {
+    verifyHistoryBtn.disabled = false;
+  }
+}
+
+/* ========== 种子操作 ========== */
+
+clientSeedBtn.addEventListener("click", async () => {
+  const clientSeed = clientSeedInput.value.trim();
+  if (!clientSeed) return;
+  try {
+    renderSeeds(await postJSON("/api/fair/client-seed", { clientSeed }));
+    verifyMessage.textContent = "Client seed updated. / 客户端种子已修改。";
+    clientSeedInput.value = "";
+  } catch (err) {
+    verifyMessage.textContent = `${err.message} / 修改失败。`;
+  }
+});
+
+rotateSeedBtn.addEventListener("click", async () => {
+  const clientSeed = clientSeedInput.value.trim();
+  try {
+    const data = await postJSON(
+      "/api/fair/rotate",
+      clientSeed ? { clientSeed } : {}
+    );
+    renderSeeds(data);
+    verifyMessage.textContent = `Revealed / 已公开: ${data.revealedSeed.serverSeed}`;
+    clientSeedInput.value = "";
+  } catch (err) {
+    verifyMessage.textContent = `${err.message} / 更换失败。`;
+  }
+});
+
+verifyHistoryBtn.addEventListener("click", verifyHistory);
+
+manualBtn.addEventListener("click", async () => {
+  const serverSeed = manualServerSeed.value.trim();
+  const clientSeed = manualClientSeed.value.trim();
+  const nonce = Math.max(0, Math.floor(Number(manualNonce.value) || 0));
+  if (!serverSeed || !clientSeed) return;
+
+  try {
+    const table = await loadStandardTable();
+    const rng = await createFairRng(serverSeed, clientSeed, nonce);
+    const roll = rng();
+    manualResult.textContent = [
+      `sha256(serverSeed) = ${await sha256Hex(serverSeed)}`,
+      `HMAC = ${rng.hex}`,
+      `roll = ${roll}`,
+      `level = ${levelFromRoll(roll, table.levels)}`,
+    ].join("\n");
+  } catch (err) {
+    manualResult.textContent = `Failed: ${err.message}`;
+  }
+});
+
+loadSeeds();
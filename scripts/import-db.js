@@ -0,0 +1,60 @@
+// scripts/import-db.js
+// 一次性迁移：把现有的 db.json 导入 SQLite，之后用 STORAGE=sqlite 启动服务端
+// 用法：npm run import-db -- [db.json] [data.sqlite]，默认为项目根目录下的这两个文件
+// 目标数据库里已经有用户时拒绝导入，避免重复执行覆盖已有数据
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openStorage } from "../lib/storage.js";
+import { fillDefaults, migrateLegacyData } from "../lib/storage-lowdb.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const jsonFile = path.resolve(process.argv[2] || path.join(root, "db.json"));
+const sqliteFile = path.resolve(
+  process.argv[3] || process.env.SQLITE_FILE || path.join(root, "data.sqlite")
+);
+
+const data = fillDefaults(JSON.parse(fs.readFileSync(jsonFile, "utf8")));
+
+// 旧格式的卡牌和评论没有 id，先按服务端启动时的规则转换，否则没法按行存
+migrateLegacyData(data);
+
+const store = await openStorage({ driver: "sqlite", dir: root, sqliteFile });
+if (store.users.list().length) {
+  await store.close();
+  console.error(`${sqliteFile} already has data, nothing was imported.`);
+  process.exit(1);
+}
+
+// 所有记录在同一个事务里写入，中途出错什么都不会留下
+const counts = await store.transaction(() => {
+  let draws = 0;
+  store.meta.set("totalTime", data.totalTime || 0);
+  for (const user of data.users) {
+    store.users.save(user);
+    const cards = user.state?.cards || [];
+    store.draws.save(user.username, cards);
+    draws += cards.length;
+  }
+  data.sessions.forEach((s) => store.sessions.save(s));
+  data.reviews.forEach((r) => store.reviews.save(r));
+  data.moderationLog.forEach((e) => store.events.append("moderation", e));
+  data.trades.forEach((t) => store.trades.save(t));
+  data.banners.forEach((b) => store.banners.save(b));
+
+  return {
+    users: data.users.length,
+    draws,
+    sessions: data.sessions.length,
+    reviews: data.reviews.length,
+    events: data.moderationLog.length,
+    trades: data.trades.length,
+    banners: data.banners.length,
+  };
+});
+await store.close();
+
+console.log(`Imported ${jsonFile} into ${sqliteFile}`);
+for (const [name, count] of Object.entries(counts)) {
+  console.log(`  ${name}: ${count}`);
+}
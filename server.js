@@ -2,25 +2,310 @@
 import express from "express";
 import http from "http";
 import { Server as SocketIOServer } from "socket.io";
-import { JSONFilePreset } from "lowdb/node";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  DROP_TABLE,
+  createPityState,
+  CRAFT_RECIPES,
+  drawWithPity,
+  findRecipe,
+  getDrawCost,
+  isValidLevel,
+  toPublicPity,
+  toPublicTable,
+} from "./lib/gacha.js";
+import {
+  clearSessionCookie,
+  createSession,
+  deleteSession,
+  findSession,
+  getRequestToken,
+  hashPassword,
+  isValidUsername,
+  MAX_USERNAME_LENGTH,
+  pruneSessions,
+  sessionCookie,
+  verifyLegacyPassword,
+  verifyPassword,
+} from "./lib/auth.js";
+import {
+  createBatchId,
+  createCraftRecord,
+  createDrawRecord,
+  createTradeRecord,
+  getLevelOwnership,
+  queryDraws,
+  recentLevels,
+} from "./lib/history.js";
+import {
+  createTrade,
+  expireTrades,
+  isEmptySide,
+  isTradeParty,
+  normalizeSide,
+  pickTradeCards,
+  recordTradeEvent,
+  toPublicTrade,
+} from "./lib/trades.js";
+import {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_WINDOWS,
+  DEFAULT_LEADERBOARD_SIZE,
+  MAX_LEADERBOARD_SIZE,
+  addDailySeconds,
+  buildLeaderboard,
+} from "./lib/leaderboard.js";
+import {
+  ACHIEVEMENTS,
+  checkAchievements,
+  toPublicAchievement,
+} from "./lib/achievements.js";
+import {
+  DEFAULT_TIME_ZONE,
+  TIME_ZONE_COOLDOWN_MS,
+  claimCheckin,
+  createCheckinState,
+  getCheckinStatus,
+  isValidTimeZone,
+} from "./lib/checkin.js";
+import {
+  buildBannerTable,
+  createBanner,
+  getBannerStatus,
+  isBannerActive,
+  listBanners,
+  toPublicBanner,
+} from "./lib/banners.js";
+import {
+  createFairnessState,
+  isValidClientSeed,
+  nextFairRoll,
+  rotateSeed,
+  setClientSeed,
+  toPublicFairness,
+} from "./lib/fairness.js";
+import { getDropStats } from "./lib/dropstats.js";
+import {
+  HEARTBEAT_INTERVAL_MS,
+  acceptHeartbeat,
+  createActivityTracker,
+  forgetClient,
+} from "./lib/activity.js";
+import {
+  DEFAULT_MUTE_MINUTES,
+  addReport,
+  checkPostRate,
+  findFlaggedWords,
+  getModerationQueue,
+  isMuted,
+  isReviewVisible,
+  logModeration,
+  muteUser,
+  recordPost,
+  resolveReports,
+  unmuteUser,
+} from "./lib/moderation.js";
+import { openStorage } from "./lib/storage.js";
+import {
+  bumpStateVersion,
+  createKeyedLock,
+  getStateVersion,
+  isStaleVersion,
+} from "./lib/concurrency.js";
+import {
+  checkCoinClaim,
+  createCoinClaimState,
+  getSuspicion,
+  issueCoinOffer,
+  toPublicOffer,
+} from "./lib/coinclaims.js";
+import {
+  addReply,
+  createReply,
+  createReview,
+  findReply,
+  getRatingSummary,
+  normalizeRating,
+  normalizeReviewText,
+  queryReviews,
+  removeReply,
+  toPublicReply,
+  toPublicReview,
+  toggleHelpful,
+  updateReview,
+} from "./lib/reviews.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ---------- lowdb 初始化 ----------
-const defaultData = { totalTime: 0, users: [], reviews: [] };
-const db = await JSONFilePreset(path.join(__dirname, "db.json"), defaultData);
+// ---------- 存储初始化 ----------
+// 默认 lowdb（db.json）；STORAGE=sqlite 时使用 SQLite，读写方法见 lib/storage.js
+const store = await openStorage({ dir: __dirname });
 
-// 兼容旧 db.json 没有 reviews 字段的情况
-if (!db.data.reviews) {
-  db.data.reviews = [];
-  await db.write();
+pruneSessions(store.sessions);
+
+// 用户连同抽卡记录常驻内存：排行榜、在线列表、按用户排队都直接用这些对象
+// 修改后通过 saveUser() 写回，只写这个用户的行和这次改动过的抽卡记录
+// 重置前的记录（带 resetAt）不再算作持有的卡，只留在存储里供掉落统计和验证页使用
+const users = new Map();
+for (const user of store.users.list()) {
+  if (user.state) {
+    user.state.cards = store.draws
+      .listByUser(user.username)
+      .filter((c) => !c.resetAt);
+  }
+  users.set(user.username, user);
 }
 
+// 交易报价和限时卡池数量不多，也常驻内存，改动后按行写回
+const trades = store.trades.list();
+const banners = store.banners.list();
+let totalTime = store.meta.get("totalTime") || 0;
+
 function findUser(username) {
-  return db.data.users.find((u) => u.username === username);
+  return users.get(username);
+}
+
+// 在 store.transaction() 里调用；cards 为这次新增或修改过的抽卡记录
+function saveUser(user, cards = []) {
+  store.users.save(user);
+  if (cards.length) store.draws.save(user.username, cards);
+}
+
+// ---------- 游戏规则（以服务端为准） ----------
+const BASE_COINS = 2;
+const COIN_INTERVAL = 120;
+
+function createInitialState() {
+  return {
+    totalSeconds: 0,
+    coinsSpent: 0,
+    cards: [],
+    coinsClaimed: 0,
+    coinEventsTriggered: 0,
+    lastClaimedEvent: 0,
+    pity: createPityState(),
+  };
+}
+
+// coinsTraded：交易带来的净收入（可以为负）；coinsRewarded：签到奖励
+function getAvailableCoins(state) {
+  return (
+    BASE_COINS +
+    (state.coinsClaimed || 0) +
+    (state.coinsRewarded || 0) +
+    (state.coinsTraded || 0) -
+    (state.coinsSpent || 0)
+  );
+}
+
+// 按当前累计时间，最多已经出现过多少次 Collect +1
+function getDueCoinEvents(state) {
+  return Math.floor((state.totalSeconds || 0) / COIN_INTERVAL);
+}
+
+// 补齐旧数据缺失的字段
+function prepareUser(user) {
+  if (!user.state) user.state = createInitialState();
+  // 旧数据没有 lastClaimedEvent：按已出现的事件数处理，避免多领
+  if (!Number.isFinite(user.state.lastClaimedEvent)) {
+    user.state.lastClaimedEvent = user.state.coinEventsTriggered || 0;
+  }
+  if (!user.state.pity) user.state.pity = createPityState();
+  if (!user.checkin) user.checkin = createCheckinState();
+  if (!user.fairness) user.fairness = createFairnessState();
+  if (!user.coinClaims) user.coinClaims = createCoinClaimState();
+  return user;
+}
+
+// 管理员：启动时通过 ADMIN_USERS=alice,bob 指定
+const ADMIN_USERS = new Set(
+  String(process.env.ADMIN_USERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+);
+
+function isAdmin(user) {
+  return !!user && ADMIN_USERS.has(user.username);
+}
+
+// 挂在 requireAuth 之后使用
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  res.status(403).json({ error: "Admin only." });
+}
+
+// ---------- 并发控制 ----------
+// 修改 user.state 的请求按用户排队执行；请求体里的 version 是客户端看到的 state.version，
+// 与服务端不一致时返回 409，客户端重新拉取状态后再操作（见 lib/concurrency.js）
+const userLocks = createKeyedLock();
+
+function staleResponse(user) {
+  return {
+    error: "Your data changed in another window. Please try again.",
+    conflict: true,
+    version: getStateVersion(user.state),
+  };
+}
+
+function withUserLock(handler) {
+  return (req, res, next) => {
+    userLocks
+      .run([req.user.username], async () => {
+        if (isStaleVersion(req.user.state, req.body?.version)) {
+          return res.status(409).json(staleResponse(req.user));
+        }
+        await handler(req, res);
+      })
+      .catch(next);
+  };
+}
+
+// 不需要登录的只读接口
+const PUBLIC_API = [
+  /^\/gacha\/table$/,
+  /^\/reviews\/[^/]+$/,
+  /^\/leaderboard$/,
+  /^\/achievements$/,
+  /^\/banners$/,
+  /^\/banners\/[^/]+$/,
+  /^\/stats\/drops$/,
+];
+
+// /api/* 鉴权：按会话 token 找到用户，挂到 req.user
+function requireAuth(req, res, next) {
+  const session = findSession(store.sessions, getRequestToken(req.headers));
+  const user = session ? findUser(session.username) : null;
+  if (user) {
+    req.user = prepareUser(user);
+    return next();
+  }
+
+  if (req.method === "GET" && PUBLIC_API.some((re) => re.test(req.path))) {
+    return next();
+  }
+  res.status(401).json({ error: "Unauthorized." });
+}
+
+// 登录接口返回给前端的账号数据
+function toAccount(user, expiresAt) {
+  return {
+    username: user.username,
+    state: user.state,
+    preferences: user.preferences || {},
+    achievements: user.achievements || [],
+    isAdmin: isAdmin(user),
+    expiresAt,
+  };
+}
+
+// 登录成功：签发会话并写入 cookie；在 store.transaction() 里调用
+function startSession(res, user) {
+  const { token, expiresAt } = createSession(store.sessions, user.username);
+  res.setHeader("Set-Cookie", sessionCookie(token, expiresAt));
+  return expiresAt;
 }
 
 // ---------- Express & Socket.io ----------
@@ -30,40 +315,48 @@ const io = new SocketIOServer(server);
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/api", requireAuth);
 
 // ==================== Auth ====================
 
-app.post("/auth/signup", async (req, res) => {
+app.post("/auth/signup", (req, res, next) => {
   const { username, password } = req.body || {};
   if (!username || !password) {
     return res
       .status(400)
       .json({ error: "Username and password are required." });
   }
-
-  if (findUser(username)) {
-    return res.status(400).json({ error: "Username already exists." });
+  if (!isValidUsername(username)) {
+    return res.status(400).json({
+      error: `Username must be 1–${MAX_USERNAME_LENGTH} characters of text.`,
+    });
   }
 
-  const newUser = {
-    username,
-    password,
-    state: {
-      totalSeconds: 0,
-      coinsSpent: 0,
-      cards: [],
-      coinsClaimed: 0,
-      coinEventsTriggered: 0,
-    },
-  };
+  // 同名注册按用户名排队：哈希密码要 await，不排队的话两个请求都能通过重名检查，后一个会覆盖前一个
+  userLocks
+    .run([username], async () => {
+      if (findUser(username)) {
+        return res.status(400).json({ error: "Username already exists." });
+      }
 
-  db.data.users.push(newUser);
-  await db.write();
+      const newUser = {
+        username,
+        passwordHash: await hashPassword(password),
+        state: createInitialState(),
+      };
 
-  res.json({ username: newUser.username, state: newUser.state });
+      users.set(username, newUser);
+      const expiresAt = await store.transaction(() => {
+        saveUser(newUser);
+        return startSession(res, newUser);
+      });
+
+      res.json(toAccount(newUser, expiresAt));
+    })
+    .catch(next);
 });
 
-app.post("/auth/login", (req, res) => {
+app.post("/auth/login", async (req, res) => {
   const { username, password } = req.body || {};
   if (!username || !password) {
     return res
@@ -72,121 +365,1495 @@ app.post("/auth/login", (req, res) => {
   }
 
   const user = findUser(username);
-  if (!user || user.password !== password) {
+  let valid = false;
+  if (user?.passwordHash) {
+    valid = await verifyPassword(password, user.passwordHash);
+  } else if (user && typeof user.password === "string") {
+    // 旧账号的明文密码：验证通过后顺便升级成哈希
+    valid = verifyLegacyPassword(password, user.password);
+    if (valid) {
+      user.passwordHash = await hashPassword(password);
+      delete user.password;
+    }
+  }
+
+  if (!valid) {
     return res.status(401).json({ error: "Invalid username or password." });
   }
 
-  res.json({ username: user.username, state: user.state });
+  prepareUser(user);
+  const expiresAt = await store.transaction(() => {
+    saveUser(user);
+    return startSession(res, user);
+  });
+
+  res.json(toAccount(user, expiresAt));
+});
+
+// 刷新页面时用 cookie 恢复登录
+app.get("/auth/session", (req, res) => {
+  const session = findSession(store.sessions, getRequestToken(req.headers));
+  const user = session ? findUser(session.username) : null;
+  if (!user) {
+    return res.status(401).json({ error: "Not logged in." });
+  }
+
+  prepareUser(user);
+  res.json(toAccount(user, session.expiresAt));
+});
+
+app.post("/auth/logout", async (req, res) => {
+  const token = getRequestToken(req.headers);
+  await store.transaction(() => deleteSession(store.sessions, token));
+
+  res.setHeader("Set-Cookie", clearSessionCookie());
+  res.json({ ok: true });
 });
 
 // ==================== State 同步 ====================
 
-app.post("/api/state", async (req, res) => {
-  const { username, password, state: clientState } = req.body || {};
-  if (!username || !password || !clientState) {
-    return res.status(400).json({ error: "Bad request." });
+// 时间心跳（HTTP 与 Socket.io 共用）：服务端按心跳计算有效时长，并决定何时出现 Collect +1
+// body { clientId, activeMs, signals: { focused, visible, pointer, touch } }，见 lib/activity.js
+// 同一账号只有 leader 页面的心跳计时，其余页面的心跳只用来保持在线
+const activity = createActivityTracker();
+
+async function handleHeartbeat(user, payload) {
+  const state = user.state;
+  const leader = isLeaderClient(user.username, payload?.clientId);
+  const seconds = leader
+    ? acceptHeartbeat(activity, user.username, payload || {})
+    : 0;
+
+  if (seconds > 0) {
+    state.totalSeconds = (state.totalSeconds || 0) + seconds;
+    totalTime += seconds;
+    addDailySeconds(state, seconds);
+    awardAchievements(user, "time");
   }
 
-  const user = findUser(username);
-  if (!user || user.password !== password) {
-    return res.status(401).json({ error: "Unauthorized." });
+  // 新到期的硬币事件：发一个一次性领取令牌，推送给该账号的所有页面；错过的事件数也由这里记录
+  const due = getDueCoinEvents(state);
+  let coinDue = null;
+  if (due > (state.coinEventsTriggered || 0)) {
+    state.coinEventsTriggered = due;
+    coinDue = toPublicOffer(issueCoinOffer(user.coinClaims, due));
+    io.to(userRoom(user.username)).emit("coin:due", coinDue);
   }
 
-  const prev = user.state?.totalSeconds || 0;
-  const next = clientState.totalSeconds || 0;
-  const delta = Math.max(0, next - prev);
-  db.data.totalTime = (db.data.totalTime || 0) + delta;
+  if (seconds > 0 || coinDue) {
+    await store.transaction(() => {
+      saveUser(user);
+      store.meta.set("totalTime", totalTime);
+    });
+    io.emit("totalTime", totalTime);
+  }
 
-  user.state = clientState;
-  await db.write();
+  return {
+    ok: true,
+    leader,
+    credited: seconds,
+    coinDue,
+    interval: HEARTBEAT_INTERVAL_MS,
+    state: toHeartbeatState(state),
+  };
+}
 
-  io.emit("totalTime", db.data.totalTime || 0);
-  res.json({ ok: true });
+// 心跳只会改这几个字段，不回传整个 state（抽卡记录带证明信息，抽得多时很大）；客户端合并进自己的 state
+function toHeartbeatState(state) {
+  return {
+    version: getStateVersion(state),
+    totalSeconds: state.totalSeconds || 0,
+    dailySeconds: state.dailySeconds || {},
+    coinEventsTriggered: state.coinEventsTriggered || 0,
+  };
+}
+
+app.post(
+  "/api/heartbeat",
+  withUserLock(async (req, res) => {
+    res.json(await handleHeartbeat(req.user, req.body));
+  })
+);
+
+// 发生 409 冲突后客户端用这里重新拉取最新状态
+app.get("/api/me/state", (req, res) => {
+  res.json({ state: req.user.state });
+});
+
+// ==================== 硬币 / 抽卡 / 重置 ====================
+
+// 掉落表：前端的稀有度按钮、费用和卡图都从这里读取
+app.get("/api/gacha/table", (req, res) => {
+  res.json({
+    ...toPublicTable(),
+    pity: toPublicPity(),
+    recipes: CRAFT_RECIPES,
+  });
+});
+
+// 领取 Collect +1：body { token, trusted, touch, moved }，令牌来自 coin:due，只能用一次
+// 每个 COIN_INTERVAL 阈值最多领取一次；太快或脚本触发的点击会被拒绝并记入可疑分（见 lib/coinclaims.js）
+app.post(
+  "/api/coins/claim",
+  withUserLock(async (req, res) => {
+    const user = req.user;
+
+    const state = user.state;
+    const result = checkCoinClaim(user.coinClaims, req.body || {}, {
+      lastClaimedEvent: state.lastClaimedEvent,
+    });
+    if (result.error) {
+      // 令牌已作废，被拒绝的记录也要保存
+      await store.transaction(() => saveUser(user));
+      return res.status(result.status).json({ error: result.error });
+    }
+    const event = result.event;
+
+    // 连续领取：上一次领的正好是前一个事件，说明中间没有错过
+    state.claimStreak =
+      event === state.lastClaimedEvent + 1 ? (state.claimStreak || 0) + 1 : 1;
+    state.coinsClaimed = (state.coinsClaimed || 0) + 1;
+    state.lastClaimedEvent = event;
+    bumpStateVersion(state);
+    awardAchievements(user, "coin");
+    await store.transaction(() => saveUser(user));
+
+    broadcastOnlineUsers();
+    res.json({ ok: true, state });
+  })
+);
+
+// body { count, bannerId? }：1 = 单抽，multi.count = 十连；bannerId 为限时卡池
+// 扣费、抽卡、入库在一次写入里完成，不会出现扣了硬币却没拿到卡的情况
+app.post(
+  "/api/draw",
+  withUserLock(async (req, res) => {
+    const user = req.user;
+    const count = Number(req.body?.count ?? 1);
+
+    let table = DROP_TABLE;
+    const bannerId = req.body?.bannerId ? String(req.body.bannerId) : null;
+    if (bannerId) {
+      const banner = findBanner(bannerId);
+      if (!banner || !isBannerActive(banner)) {
+        return res.status(409).json({ error: "Banner is not active." });
+      }
+      table = buildBannerTable(banner);
+    }
+
+    const cost = getDrawCost(count, table);
+    if (cost === null) {
+      return res.status(400).json({ error: "Invalid draw count." });
+    }
+
+    const state = user.state;
+    if (getAvailableCoins(state) < cost) {
+      return res.status(400).json({ error: "Not enough coins." });
+    }
+
+    // 保底计数保存在服务端的 state.pity 里，客户端无法修改
+    // 每一抽用一个新的 nonce；记录里保存证明信息和抽之前的保底计数，方便复算
+    let pity = state.pity;
+    const results = [];
+    const proofs = [];
+    for (let i = 0; i < count; i++) {
+      const { rng, proof } = nextFairRoll(user.fairness);
+      const draw = drawWithPity(rng, pity, table);
+      proofs.push({ ...proof, pity: { ...pity } });
+      pity = draw.pity;
+      results.push({ level: draw.level, guaranteed: draw.guaranteed });
+    }
+
+    state.pity = pity;
+    state.coinsSpent = (state.coinsSpent || 0) + cost;
+    if (!Array.isArray(state.cards)) state.cards = [];
+
+    const batchId = createBatchId();
+    const at = new Date();
+    const records = results.map((r, i) =>
+      createDrawRecord({
+        level: r.level,
+        cost: cost / count,
+        tableVersion: DROP_TABLE.version,
+        batchId,
+        bannerId,
+        fair: proofs[i],
+        at,
+      })
+    );
+    state.cards.push(...records);
+    bumpStateVersion(state);
+    awardAchievements(user, "draw");
+    await store.transaction(() => saveUser(user, records));
+
+    broadcastOnlineUsers();
+    // 通知统计面板有新的抽卡（只发数量，由前端按自己的筛选条件重新拉取）
+    io.emit("stats:draws", { count, bannerId, at: at.toISOString() });
+    res.json({
+      result: results[0].level,
+      guaranteed: results[0].guaranteed,
+      results,
+      records,
+      cost,
+      state,
+    });
+  })
+);
+
+// 合成：body { recipeId }，消耗最早获得的 count 张 from 卡，得到 1 张 to 卡
+// 校验、消耗、发卡在同一次写入里完成；被消耗的卡标记 consumedAt 后仍保留在历史中
+app.post(
+  "/api/craft",
+  withUserLock(async (req, res) => {
+    const recipe = findRecipe(String(req.body?.recipeId || ""));
+    if (!recipe) {
+      return res.status(400).json({ error: "Unknown recipe." });
+    }
+
+    const user = req.user;
+    const state = user.state;
+    const inputs = state.cards
+      .filter((c) => !c.consumedAt && c.level === recipe.from)
+      .slice(0, recipe.count);
+    if (inputs.length < recipe.count) {
+      return res.status(400).json({ error: "Not enough cards to craft." });
+    }
+
+    const craftId = createBatchId();
+    const at = new Date();
+    inputs.forEach((c) => {
+      c.consumedAt = at.toISOString();
+      c.consumedBy = craftId;
+      c.consumedFor = "craft";
+    });
+
+    const record = createCraftRecord({
+      level: recipe.to,
+      tableVersion: DROP_TABLE.version,
+      craftId,
+      inputs: inputs.map((c) => c.id),
+      at,
+    });
+    state.cards.push(record);
+    bumpStateVersion(state);
+    awardAchievements(user, "craft");
+    await store.transaction(() => saveUser(user, [...inputs, record]));
+
+    broadcastOnlineUsers();
+    res.json({ ok: true, record, state });
+  })
+);
+
+// 抽卡历史：?level=&from=&to=&offset=&limit=&includeReset=，最新的在前
+// includeReset=1 时连同重置前的记录一起返回（带 resetAt），验证页用它复算所有抽卡
+app.get("/api/me/draws", (req, res) => {
+  const { from, to, offset, limit } = req.query;
+  const level = req.query.level ? String(req.query.level).toUpperCase() : "";
+  if (level && !isValidLevel(level)) {
+    return res.status(400).json({ error: "Invalid card level." });
+  }
+
+  const cards =
+    req.query.includeReset === "1"
+      ? store.draws.listByUser(req.user.username)
+      : req.user.state.cards;
+  res.json(queryDraws(cards, { level, from, to, offset, limit }));
+});
+
+// body { clearCheckin }：默认保留签到连续天数，确认后才清零
+// 清零时保留今天的签到记录，避免同一天重复领取
+// resetAt 记在 state 外面，重置之前写的评论会被标记出来
+// 抽卡记录不删除，只标上 resetAt：收藏里不再显示，掉落统计和验证页仍然用得到
+app.post(
+  "/api/reset",
+  withUserLock(async (req, res) => {
+    const user = req.user;
+    const resetAt = new Date().toISOString();
+    const cleared = (user.state.cards || []).map((c) => ({ ...c, resetAt }));
+
+    // 版本号接着往上加，其他页面手里的旧状态会被识别出来
+    const version = getStateVersion(user.state);
+    user.state = createInitialState();
+    user.state.version = version + 1;
+    user.resetAt = resetAt;
+    // 重置前发出的硬币令牌作废
+    user.coinClaims.offer = null;
+    if (req.body?.clearCheckin) user.checkin = { ...user.checkin, streak: 0 };
+    await store.transaction(() => saveUser(user, cleared));
+
+    broadcastOnlineUsers();
+    res.json({ ok: true, state: user.state });
+  })
+);
+
+// ==================== 限时卡池 ====================
+// 到点自动开始 / 结束：定时检查各卡池状态，有变化就推送给所有客户端
+
+function findBanner(id) {
+  return banners.find((b) => b.id === id);
+}
+
+function getPublicBanners(now = Date.now()) {
+  return listBanners(banners, now).map((b) => toPublicBanner(b, now));
+}
+
+function broadcastBanners() {
+  io.emit("banners", getPublicBanners());
+}
+
+app.get("/api/banners", (req, res) => {
+  res.json({ banners: getPublicBanners() });
+});
+
+// 单个卡池（包括已结束的），验证页复算历史抽卡时需要它的掉落表
+app.get("/api/banners/:id", (req, res) => {
+  const banner = findBanner(req.params.id);
+  if (!banner) return res.status(404).json({ error: "Banner not found." });
+  res.json({ banner: toPublicBanner(banner) });
+});
+
+// 管理员创建卡池，body 见 lib/banners.js 的 createBanner
+app.post("/api/admin/banners", requireAdmin, async (req, res) => {
+  const { banner, error } = createBanner(req.body, {
+    createdBy: req.user.username,
+  });
+  if (error) return res.status(400).json({ error });
+
+  banners.push(banner);
+  await store.transaction(() => store.banners.save(banner));
+
+  broadcastBanners();
+  res.json({ ok: true, banner: toPublicBanner(banner) });
+});
+
+// 提前结束：保留记录（抽卡历史里的 bannerId 仍能对上），只把结束时间改成现在
+app.post("/api/admin/banners/:id/end", requireAdmin, async (req, res) => {
+  const banner = findBanner(req.params.id);
+  if (!banner) return res.status(404).json({ error: "Banner not found." });
+
+  if (getBannerStatus(banner) !== "ended") {
+    banner.endsAt = new Date().toISOString();
+    await store.transaction(() => store.banners.save(banner));
+    broadcastBanners();
+  }
+  res.json({ ok: true, banner: toPublicBanner(banner) });
+});
+
+const BANNER_SWEEP_INTERVAL = 5 * 1000;
+let lastBannerStatuses = "";
+
+setInterval(() => {
+  const now = Date.now();
+  const statuses = banners
+    .map((b) => `${b.id}:${getBannerStatus(b, now)}`)
+    .join(",");
+  if (statuses === lastBannerStatuses) return;
+  lastBannerStatuses = statuses;
+  broadcastBanners();
+}, BANNER_SWEEP_INTERVAL).unref();
+
+// ==================== 掉落统计 ====================
+// 全部玩家的抽卡记录与掉落表对比；保底生效的那几抽不计入（见 lib/dropstats.js）
+
+function isValidDateParam(value) {
+  return !value || Number.isFinite(Date.parse(value));
+}
+
+// GET /api/stats/drops?from=&to=&banner=；banner 为空时统计常驻卡池
+app.get("/api/stats/drops", (req, res) => {
+  const from = req.query.from ? String(req.query.from) : null;
+  const to = req.query.to ? String(req.query.to) : null;
+  if (!isValidDateParam(from) || !isValidDateParam(to)) {
+    return res.status(400).json({ error: "Invalid date range." });
+  }
+
+  let table = DROP_TABLE;
+  const bannerId = req.query.banner ? String(req.query.banner) : null;
+  if (bannerId) {
+    const banner = findBanner(bannerId);
+    if (!banner) return res.status(404).json({ error: "Banner not found." });
+    table = buildBannerTable(banner);
+  }
+
+  // 按时间段直接从存储里查抽卡记录（SQLite 走 drawn_at 索引）
+  const records = store.draws.list({ from, to });
+  res.json({
+    ...getDropStats(records, { from, to, bannerId, table }),
+    updatedAt: new Date().toISOString(),
+  });
+});
+
+// ==================== 可验证公平 ====================
+// 当前 serverSeed 只公开哈希；更换种子后才公开原文，见 public/verify.html
+
+app.get("/api/fair", (req, res) => {
+  res.json(toPublicFairness(req.user.fairness));
+});
+
+// body { clientSeed }：只改 clientSeed，serverSeed 与 nonce 不变
+app.post("/api/fair/client-seed", async (req, res) => {
+  const clientSeed = req.body?.clientSeed;
+  if (!isValidClientSeed(clientSeed)) {
+    return res.status(400).json({ error: "Invalid client seed." });
+  }
+
+  setClientSeed(req.user.fairness, clientSeed);
+  await store.transaction(() => saveUser(req.user));
+  res.json({ ok: true, ...toPublicFairness(req.user.fairness) });
+});
+
+// body { clientSeed? }：换新的 serverSeed（nonce 归零），并公开旧的 serverSeed
+app.post("/api/fair/rotate", async (req, res) => {
+  const clientSeed = req.body?.clientSeed;
+  if (clientSeed !== undefined && !isValidClientSeed(clientSeed)) {
+    return res.status(400).json({ error: "Invalid client seed." });
+  }
+
+  const revealed = rotateSeed(req.user.fairness, clientSeed);
+  await store.transaction(() => saveUser(req.user));
+  res.json({
+    ok: true,
+    revealedSeed: revealed,
+    ...toPublicFairness(req.user.fairness),
+  });
+});
+
+// ==================== 每日签到 ====================
+// “今天”按服务器时间换算到玩家设置的时区，不信任客户端的时钟
+
+function getTimeZone(user) {
+  const timeZone = user.preferences?.timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+app.get("/api/checkin", (req, res) => {
+  const user = req.user;
+  res.json({
+    checkin: getCheckinStatus(user.checkin, Date.now(), getTimeZone(user)),
+  });
+});
+
+app.post(
+  "/api/checkin",
+  withUserLock(async (req, res) => {
+    const user = req.user;
+    const now = Date.now();
+    const timeZone = getTimeZone(user);
+
+    const claimed = claimCheckin(user.checkin, now, timeZone);
+    if (!claimed) {
+      return res.status(409).json({ error: "Already checked in today." });
+    }
+
+    user.state.coinsRewarded = (user.state.coinsRewarded || 0) + claimed.reward;
+    bumpStateVersion(user.state);
+    awardAchievements(user, "checkin");
+    await store.transaction(() => saveUser(user));
+
+    broadcastOnlineUsers();
+    res.json({
+      ok: true,
+      ...claimed,
+      checkin: getCheckinStatus(user.checkin, now, timeZone),
+      state: user.state,
+    });
+  })
+);
+
+// body { timeZone }：IANA 时区名，例如 "Asia/Shanghai"；修改后 24 小时内不能再改
+app.post("/api/checkin/timezone", async (req, res) => {
+  const user = req.user;
+  const timeZone = req.body?.timeZone;
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: "Invalid time zone." });
+  }
+
+  const now = Date.now();
+  const prefs = user.preferences || {};
+  if (getTimeZone(user) !== timeZone) {
+    // 冷却从上一次改时区和上一次签到中较晚的那次算起：
+    // 签到后马上换到更靠前的时区，就能在同一天里再签一次
+    const since = Math.max(
+      ...[prefs.timeZoneChangedAt, user.checkin?.lastClaimedAt].map((at) =>
+        at ? new Date(at).getTime() || 0 : 0
+      )
+    );
+    if (now - since < TIME_ZONE_COOLDOWN_MS) {
+      return res
+        .status(429)
+        .json({ error: "Time zone can only be changed once a day." });
+    }
+
+    user.preferences = {
+      ...prefs,
+      timeZone,
+      timeZoneChangedAt: new Date(now).toISOString(),
+    };
+    await store.transaction(() => saveUser(user));
+  }
+
+  res.json({
+    ok: true,
+    checkin: getCheckinStatus(user.checkin, now, timeZone),
+  });
 });
 
 // ==================== 评论接口 ====================
 
-// 提交评论： body { username, password, cardLevel, text }
+// 评论不常驻内存，每次从存储读取；改完后用 store.reviews.save() 写回
+function findReview(id) {
+  return store.reviews.get(String(id));
+}
+
+function getVisibleReviews(filter) {
+  return store.reviews.list(filter).filter(isReviewVisible);
+}
+
+// 禁言或发得太快时返回 { status, error }
+function checkCanPost(user) {
+  if (isMuted(user)) {
+    return { status: 403, error: "You are muted and can't post right now." };
+  }
+  const error = checkPostRate(user);
+  return error ? { status: 429, error } : null;
+}
+
+// 命中敏感词的评论 / 回复已是 pending，记一条自动审核日志；在 store.transaction() 里调用
+// 回复时 entry 为回复，review 为所属评论
+function holdIfFlagged(entry, review = entry) {
+  if (!entry.flaggedWords?.length || isReviewVisible(entry)) return;
+  logModeration(store.events, {
+    actor: "system",
+    action: "hold",
+    reviewId: review.id,
+    replyId: entry === review ? null : entry.id,
+    target: entry.username,
+    detail: `Flagged words: ${entry.flaggedWords.join(", ")}`,
+  });
+}
+
+// 有人回复了自己的评论：实时通知评论作者
+function notifyReply(review, reply) {
+  if (reply.username === review.username) return;
+  io.to(userRoom(review.username)).emit("review:reply", {
+    reviewId: review.id,
+    level: review.level,
+    reply: toPublicReply(reply),
+  });
+}
+
+// 提交评论： body { cardLevel, text, rating }，rating 为 1–5 星
 app.post("/api/reviews", async (req, res) => {
-  const { username, password, cardLevel, text } = req.body || {};
-  if (!username || !password || !cardLevel || !text?.trim()) {
+  const { cardLevel } = req.body || {};
+  const text = normalizeReviewText(req.body?.text);
+  const rating = normalizeRating(req.body?.rating);
+  if (!cardLevel || !text) {
     return res.status(400).json({ error: "Bad request." });
   }
-
-  const user = findUser(username);
-  if (!user || user.password !== password) {
-    return res.status(401).json({ error: "Unauthorized." });
+  if (!rating) {
+    return res.status(400).json({ error: "Rating must be 1-5 stars." });
   }
 
+  const user = req.user;
+  const blocked = checkCanPost(user);
+  if (blocked) return res.status(blocked.status).json({ error: blocked.error });
+
   const level = String(cardLevel).toUpperCase();
-  const allowedLevels = ["S", "A", "B", "C", "D", "E", "F", "NONE"];
-  if (!allowedLevels.includes(level)) {
+  if (!isValidLevel(level)) {
     return res.status(400).json({ error: "Invalid card level." });
   }
 
-  const review = {
+  // 以服务端存储的抽卡记录为准：没拥有过这一等级的卡不能评论
+  const ownership = getLevelOwnership(user.state.cards, level);
+  if (!ownership.owned) {
+    return res.status(403).json({ error: "You don't own this card." });
+  }
+
+  const review = createReview({
     level,
-    username,
-    text: String(text).trim(),
-    createdAt: new Date().toISOString(),
-  };
+    username: user.username,
+    text,
+    rating,
+    ownedSince: ownership.ownedSince,
+    flaggedWords: findFlaggedWords(text),
+  });
 
-  db.data.reviews.push(review);
-  await db.write();
+  recordPost(user);
+  await store.transaction(() => {
+    store.reviews.save(review);
+    holdIfFlagged(review);
+    awardAchievements(user, "review");
+    saveUser(user);
+  });
 
-  res.json({ ok: true });
+  res.json({
+    ok: true,
+    held: !isReviewVisible(review),
+    review: toPublicReview(review, user, user.username),
+  });
 });
 
-// 按等级获取评论
+// 各等级的平均星级（要写在 /:level 前面）
+app.get("/api/reviews/summary", (req, res) => {
+  res.json({ summary: getRatingSummary(getVisibleReviews()) });
+});
+
+// 按等级获取评论：?sort=newest|highest|helpful&cursor=&limit=
+// 待审核和被隐藏的评论不返回
 app.get("/api/reviews/:level", (req, res) => {
   const level = String(req.params.level || "").toUpperCase();
-  const allowedLevels = ["S", "A", "B", "C", "D", "E", "F", "NONE"];
-  if (!allowedLevels.includes(level)) {
+  if (!isValidLevel(level)) {
     return res.status(400).json({ error: "Invalid card level." });
   }
 
-  const allReviews = Array.isArray(db.data.reviews) ? db.data.reviews : [];
-  const reviews = allReviews
-    .filter((r) => r.level === level)
-    .sort(
-      (a, b) =>
-        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-    );
+  const { sort, cursor, limit } = req.query;
+  const visible = getVisibleReviews({ level });
+  const result = queryReviews(visible, {
+    level,
+    sort,
+    cursor,
+    limit,
+    findUser,
+    viewer: req.user?.username || null,
+  });
+  if (result.error) return res.status(400).json({ error: result.error });
 
-  res.json({ level, reviews });
+  res.json({
+    level,
+    ...result,
+    summary: getRatingSummary(visible)[level] || null,
+  });
 });
 
+// 修改自己的评论： body { text?, rating? }
+app.put("/api/reviews/:id", async (req, res) => {
+  const review = findReview(req.params.id);
+  if (!review) return res.status(404).json({ error: "Review not found." });
+  if (review.username !== req.user.username) {
+    return res.status(403).json({ error: "Not your review." });
+  }
+  if (isMuted(req.user)) {
+    return res
+      .status(403)
+      .json({ error: "You are muted and can't post right now." });
+  }
+
+  const body = req.body || {};
+  const changes = {};
+  if (body.text !== undefined) {
+    changes.text = normalizeReviewText(body.text);
+    if (!changes.text) return res.status(400).json({ error: "Bad request." });
+  }
+  if (body.rating !== undefined) {
+    changes.rating = normalizeRating(body.rating);
+    if (!changes.rating) {
+      return res.status(400).json({ error: "Rating must be 1-5 stars." });
+    }
+  }
+  if (!Object.keys(changes).length) {
+    return res.status(400).json({ error: "Bad request." });
+  }
+
+  updateReview(review, changes);
+  // 改过的内容重新过一遍敏感词；已被隐藏的保持隐藏
+  let held = false;
+  if (changes.text !== undefined) {
+    review.flaggedWords = findFlaggedWords(changes.text);
+    if (review.flaggedWords.length && isReviewVisible(review)) {
+      review.status = "pending";
+      held = true;
+    }
+  }
+  await store.transaction(() => {
+    store.reviews.save(review);
+    if (held) holdIfFlagged(review);
+  });
+
+  res.json({
+    ok: true,
+    held: !isReviewVisible(review),
+    review: toPublicReview(review, req.user, req.user.username),
+  });
+});
+
+// 删除自己的评论
+app.delete("/api/reviews/:id", async (req, res) => {
+  const review = findReview(req.params.id);
+  if (!review) return res.status(404).json({ error: "Review not found." });
+  if (review.username !== req.user.username) {
+    return res.status(403).json({ error: "Not your review." });
+  }
+
+  await store.transaction(() => store.reviews.remove(review.id));
+
+  res.json({ ok: true });
+});
+
+// 举报： body { reason? }；同一条评论累计多人举报后自动转入待审核
+app.post("/api/reviews/:id/report", async (req, res) => {
+  const review = findReview(req.params.id);
+  if (!review || !isReviewVisible(review)) {
+    return res.status(404).json({ error: "Review not found." });
+  }
+  if (review.username === req.user.username) {
+    return res.status(400).json({ error: "You can't report your own review." });
+  }
+
+  const { error, held } = addReport(
+    review,
+    req.user.username,
+    req.body?.reason
+  );
+  if (error) return res.status(409).json({ error });
+
+  await store.transaction(() => {
+    store.reviews.save(review);
+    if (held) {
+      logModeration(store.events, {
+        actor: "system",
+        action: "hold",
+        reviewId: review.id,
+        target: review.username,
+        detail: `Reported by ${review.reports.length} users`,
+      });
+    }
+  });
+
+  res.json({ ok: true });
+});
+
+// 「有帮助」：每人一票，再点一次取消
+app.post("/api/reviews/:id/helpful", async (req, res) => {
+  const review = findReview(req.params.id);
+  if (!review || !isReviewVisible(review)) {
+    return res.status(404).json({ error: "Review not found." });
+  }
+
+  const { error, voted } = toggleHelpful(review, req.user.username);
+  if (error) return res.status(400).json({ error });
+  await store.transaction(() => store.reviews.save(review));
+
+  res.json({ ok: true, voted, helpfulCount: review.helpful.length });
+});
+
+// 回复： body { text }；只有一层，校验和频率限制与评论相同
+app.post("/api/reviews/:id/replies", async (req, res) => {
+  const review = findReview(req.params.id);
+  if (!review || !isReviewVisible(review)) {
+    return res.status(404).json({ error: "Review not found." });
+  }
+
+  const text = normalizeReviewText(req.body?.text);
+  if (!text) return res.status(400).json({ error: "Bad request." });
+
+  const user = req.user;
+  const blocked = checkCanPost(user);
+  if (blocked) return res.status(blocked.status).json({ error: blocked.error });
+
+  const reply = createReply({
+    username: user.username,
+    text,
+    flaggedWords: findFlaggedWords(text),
+  });
+  addReply(review, reply);
+  recordPost(user);
+  await store.transaction(() => {
+    store.reviews.save(review);
+    holdIfFlagged(reply, review);
+    saveUser(user);
+  });
+
+  const held = !isReviewVisible(reply);
+  if (!held) notifyReply(review, reply);
+  res.json({ ok: true, held, reply: toPublicReply(reply) });
+});
+
+// 删除自己的回复
+app.delete("/api/reviews/:id/replies/:replyId", async (req, res) => {
+  const review = findReview(req.params.id);
+  const reply = review && findReply(review, req.params.replyId);
+  if (!reply) return res.status(404).json({ error: "Reply not found." });
+  if (reply.username !== req.user.username) {
+    return res.status(403).json({ error: "Not your reply." });
+  }
+
+  removeReply(review, reply.id);
+  await store.transaction(() => store.reviews.save(review));
+
+  res.json({ ok: true });
+});
+
+// ==================== 评论审核（管理员） ====================
+// 所有操作都记到审核日志（events 里 kind 为 moderation 的事件）
+
+const MODERATION_ACTIONS = ["approve", "hide", "delete"];
+
+app.get("/api/admin/reviews", requireAdmin, (req, res) => {
+  res.json({ reviews: getModerationQueue(store.reviews.list()) });
+});
+
+// approve：恢复显示；hide：隐藏但保留；delete：彻底删除。body { reason? }
+app.post("/api/admin/reviews/:id/:action", requireAdmin, async (req, res) => {
+  const { action } = req.params;
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: "Unknown action." });
+  }
+  const review = findReview(req.params.id);
+  if (!review) return res.status(404).json({ error: "Review not found." });
+
+  resolveReports(review);
+  if (action !== "delete") {
+    review.status = action === "approve" ? "visible" : "hidden";
+  }
+
+  await store.transaction(() => {
+    if (action === "delete") store.reviews.remove(review.id);
+    else store.reviews.save(review);
+    logModeration(store.events, {
+      actor: req.user.username,
+      action,
+      reviewId: review.id,
+      target: review.username,
+      detail: String(req.body?.reason || "").trim() || null,
+    });
+  });
+
+  res.json({ ok: true });
+});
+
+// 回复的审核：通过后才通知评论作者
+app.post(
+  "/api/admin/reviews/:id/replies/:replyId/:action",
+  requireAdmin,
+  async (req, res) => {
+    const { action } = req.params;
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: "Unknown action." });
+    }
+    const review = findReview(req.params.id);
+    const reply = review && findReply(review, req.params.replyId);
+    if (!reply) return res.status(404).json({ error: "Reply not found." });
+
+    const wasVisible = isReviewVisible(reply);
+    if (action === "delete") {
+      removeReply(review, reply.id);
+    } else {
+      reply.status = action === "approve" ? "visible" : "hidden";
+    }
+
+    await store.transaction(() => {
+      store.reviews.save(review);
+      logModeration(store.events, {
+        actor: req.user.username,
+        action,
+        reviewId: review.id,
+        replyId: reply.id,
+        target: reply.username,
+        detail: String(req.body?.reason || "").trim() || null,
+      });
+    });
+
+    if (action === "approve" && !wasVisible) notifyReply(review, reply);
+    res.json({ ok: true });
+  }
+);
+
+// 禁言： body { minutes?, reason? }，默认 24 小时
+app.post("/api/admin/users/:username/mute", requireAdmin, async (req, res) => {
+  const target = findUser(req.params.username);
+  if (!target) return res.status(404).json({ error: "User not found." });
+
+  const minutes = Number(req.body?.minutes ?? DEFAULT_MUTE_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return res.status(400).json({ error: "Invalid mute duration." });
+  }
+  const reason = String(req.body?.reason || "").trim() || null;
+
+  muteUser(target, { minutes, reason });
+  await store.transaction(() => {
+    saveUser(target);
+    logModeration(store.events, {
+      actor: req.user.username,
+      action: "mute",
+      target: target.username,
+      detail: `${minutes} min${reason ? `: ${reason}` : ""}`,
+    });
+  });
+
+  res.json({ ok: true, mutedUntil: target.moderation.mutedUntil });
+});
+
+app.post(
+  "/api/admin/users/:username/unmute",
+  requireAdmin,
+  async (req, res) => {
+    const target = findUser(req.params.username);
+    if (!target) return res.status(404).json({ error: "User not found." });
+
+    unmuteUser(target);
+    await store.transaction(() => {
+      saveUser(target);
+      logModeration(store.events, {
+        actor: req.user.username,
+        action: "unmute",
+        target: target.username,
+      });
+    });
+
+    res.json({ ok: true });
+  }
+);
+
+// 审核日志，最新的在前：?limit=
+app.get("/api/admin/moderation/log", requireAdmin, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  res.json({ log: store.events.list("moderation", { limit }) });
+});
+
+// Collect +1 可疑分报告：有领取记录的用户，分数从高到低
+app.get("/api/admin/coins/suspicion", requireAdmin, (req, res) => {
+  const report = [...users.values()]
+    .filter((u) => u.coinClaims?.offered)
+    .map((u) => ({ username: u.username, ...getSuspicion(u.coinClaims) }))
+    .sort((a, b) => b.score - a.score || b.offered - a.offered);
+  res.json({ users: report });
+});
+
+// ==================== 排行榜 ====================
+// 榜单随时从存储的数据计算；实时更新按房间推送，只推给正在看该榜单的连接
+
+function getLeaderboard(metric, window, limit = DEFAULT_LEADERBOARD_SIZE) {
+  return {
+    metric,
+    window,
+    entries: buildLeaderboard([...users.values()], { metric, window, limit }),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function isLeaderboardQuery(metric, window) {
+  return (
+    LEADERBOARD_METRICS.includes(metric) && LEADERBOARD_WINDOWS.includes(window)
+  );
+}
+
+// GET /api/leaderboard?metric=time|collection|luck|streak&window=all|weekly|daily
+app.get("/api/leaderboard", (req, res) => {
+  const metric = String(req.query.metric || "time");
+  const window = String(req.query.window || "all");
+  if (!isLeaderboardQuery(metric, window)) {
+    return res.status(400).json({ error: "Invalid metric or window." });
+  }
+
+  const limit = Math.min(
+    MAX_LEADERBOARD_SIZE,
+    Math.max(1, Math.floor(Number(req.query.limit) || DEFAULT_LEADERBOARD_SIZE))
+  );
+  res.json(getLeaderboard(metric, window, limit));
+});
+
+function leaderboardRoom(metric, window) {
+  return `leaderboard:${metric}:${window}`;
+}
+
+// 匿名连接也可以订阅；同一连接同时只看一个榜单
+function registerLeaderboardHandlers(socket) {
+  socket.on("leaderboard:watch", (payload) => {
+    const metric = String(payload?.metric || "");
+    const window = String(payload?.window || "");
+    if (!isLeaderboardQuery(metric, window)) return;
+
+    if (socket.data.leaderboardRoom) socket.leave(socket.data.leaderboardRoom);
+    socket.data.leaderboardRoom = leaderboardRoom(metric, window);
+    socket.join(socket.data.leaderboardRoom);
+    socket.emit("leaderboard", getLeaderboard(metric, window));
+  });
+}
+
+// 定时重算有人在看的榜单，前几名有变化才推送
+const LEADERBOARD_PUSH_INTERVAL = 5 * 1000;
+const lastPushedLeaderboards = new Map();
+
+setInterval(() => {
+  for (const metric of LEADERBOARD_METRICS) {
+    for (const window of LEADERBOARD_WINDOWS) {
+      const room = leaderboardRoom(metric, window);
+      if (!io.sockets.adapter.rooms.get(room)?.size) {
+        lastPushedLeaderboards.delete(room);
+        continue;
+      }
+
+      const board = getLeaderboard(metric, window);
+      const key = JSON.stringify(board.entries);
+      if (lastPushedLeaderboards.get(room) === key) continue;
+      lastPushedLeaderboards.set(room, key);
+      io.to(room).emit("leaderboard", board);
+    }
+  }
+}, LEADERBOARD_PUSH_INTERVAL).unref();
+
+// ==================== 成就 ====================
+
+// 成就定义（给前端显示名称和徽章）
+app.get("/api/achievements", (req, res) => {
+  res.json({ achievements: ACHIEVEMENTS.map(toPublicAchievement) });
+});
+
+// 事件发生后检查成就：新解锁的推送给本人的所有标签页，并刷新在线列表上的徽章
+// 只修改内存中的 user，由调用方负责 saveUser()
+function awardAchievements(user, event) {
+  const fresh = checkAchievements(user, event, {
+    countReviews: () => store.reviews.list({ username: user.username }).length,
+  });
+  if (fresh.length) {
+    io.to(userRoom(user.username)).emit("achievement:unlocked", fresh);
+    broadcastOnlineUsers();
+  }
+  return fresh;
+}
+
 // ==================== 在线用户 / Socket.io ====================
 
-const onlineUsers = new Map(); // socket.id -> { username, totalSeconds, coins, lastCards, hideCoins }
+// username -> Set<socket.id>：同一账号多个标签页只算一个在线用户
+const onlineUsers = new Map();
+
+// 在线列表一律从服务端存储的状态生成，不信任客户端上报的数据
+function toPresence(user) {
+  const state = user.state || createInitialState();
+  return {
+    username: user.username,
+    totalSeconds: state.totalSeconds || 0,
+    coins: getAvailableCoins(state),
+    lastCards: recentLevels(state.cards),
+    hideCoins: !!user.preferences?.hideCoins,
+    achievements: (user.achievements || []).map((a) => a.id),
+  };
+}
+
+function getOnlineUsers() {
+  const online = [];
+  for (const username of onlineUsers.keys()) {
+    const user = findUser(username);
+    if (user) online.push(toPresence(user));
+  }
+  return online;
+}
 
 function broadcastOnlineUsers() {
-  io.emit("onlineUsers", Array.from(onlineUsers.values()));
+  io.emit("onlineUsers", getOnlineUsers());
+}
+
+function addOnlineSocket(username, socketId) {
+  if (!onlineUsers.has(username)) onlineUsers.set(username, new Set());
+  onlineUsers.get(username).add(socketId);
+}
+
+function removeOnlineSocket(username, socketId) {
+  const sockets = onlineUsers.get(username);
+  if (!sockets) return;
+  sockets.delete(socketId);
+  if (!sockets.size) onlineUsers.delete(username);
+
+  // leader 页面关闭后，交给该账号剩下的任意一个页面
+  if (leaders.get(username) === socketId) {
+    const next = sockets.size ? [...sockets][sockets.size - 1] : null;
+    setLeader(username, next);
+  }
+}
+
+// ---------- 每个账号一个 leader 连接 ----------
+// 多个标签页 / 设备同时打开时只有 leader 计时；其余页面显示提示，可以手动接管
+
+// username -> socket.id
+const leaders = new Map();
+
+function getLeaderSocket(username) {
+  const id = leaders.get(username);
+  return id ? io.sockets.sockets.get(id) || null : null;
+}
+
+// 通知该账号的每个页面自己是不是 leader；leaderClientId 让同一浏览器的标签页认出彼此
+function emitLeader(username) {
+  const leaderId = leaders.get(username) || null;
+  const leaderClientId = getLeaderSocket(username)?.data.clientId || null;
+  for (const id of onlineUsers.get(username) || []) {
+    io.to(id).emit("leader", { isLeader: id === leaderId, leaderClientId });
+  }
+}
+
+function setLeader(username, socketId) {
+  if (socketId) leaders.set(username, socketId);
+  else leaders.delete(username);
+  emitLeader(username);
+}
+
+// HTTP 心跳没有 socket：只有在没有 leader 连接，或者来自 leader 页面时才计时
+function isLeaderClient(username, clientId) {
+  const leader = getLeaderSocket(username);
+  return !leader || (!!clientId && leader.data.clientId === clientId);
+}
+
+function userRoom(username) {
+  return `user:${username}`;
 }
 
+// 每次事件都重新确认会话仍然有效；已退出或过期则解除绑定
+function getSocketUser(socket) {
+  const username = socket.data.username;
+  if (!username) return null;
+
+  if (!findSession(store.sessions, socket.data.token)) {
+    removeOnlineSocket(username, socket.id);
+    socket.leave(userRoom(username));
+    socket.data.username = null;
+    broadcastOnlineUsers();
+    return null;
+  }
+
+  const user = findUser(username);
+  return user ? prepareUser(user) : null;
+}
+
+// socket.io 不处理监听函数返回的 Promise：async 监听函数里抛出的错误会变成未处理的 rejection，让整个进程退出
+// 用这个注册：出错时记日志，并通过 ack 回 { error }，客户端不会一直等
+function onSocketEvent(socket, event, handler) {
+  socket.on(event, (payload, ack) => {
+    Promise.resolve()
+      .then(() => handler(payload, ack))
+      .catch((err) => {
+        console.error(`Socket event "${event}" failed:`, err);
+        if (typeof ack === "function") {
+          ack({ error: "Something went wrong. Please try again." });
+        }
+      });
+  });
+}
+
+// 握手阶段校验会话：带有效 cookie 的连接绑定到账号，其余为匿名连接（只收广播）
+// socket.io 的中间件不会捕获异常，这里抛出会让整个进程退出，出错时交给 next(err) 拒绝连接
+io.use((socket, next) => {
+  try {
+    const token =
+      getRequestToken(socket.handshake.headers) || socket.handshake.auth?.token;
+    const session = findSession(store.sessions, token);
+    socket.data.token = session ? token : null;
+    socket.data.username = session ? session.username : null;
+    // 页面 id，与心跳里的 clientId 相同
+    const clientId = socket.handshake.auth?.clientId;
+    socket.data.clientId = clientId ? String(clientId).slice(0, 64) : socket.id;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 io.on("connection", (socket) => {
-  socket.emit("totalTime", db.data.totalTime || 0);
+  socket.emit("totalTime", totalTime);
+  socket.emit("banners", getPublicBanners());
 
-  socket.on("presence:update", (payload) => {
-    if (!payload || !payload.username) return;
+  const username = socket.data.username;
+  if (username) {
+    addOnlineSocket(username, socket.id);
+    socket.join(userRoom(username));
+    // 第一个连上的页面成为 leader
+    if (getLeaderSocket(username)) emitLeader(username);
+    else setLeader(username, socket.id);
+    socket.emit("trade:list", getPendingTrades(username));
+    broadcastOnlineUsers();
+  } else {
+    socket.emit("onlineUsers", getOnlineUsers());
+  }
 
-    onlineUsers.set(socket.id, {
-      username: payload.username,
-      totalSeconds: payload.totalSeconds ?? 0,
-      coins: payload.coins ?? 0,
-      lastCards: payload.lastCards ?? [],
-      hideCoins: !!payload.hideCoins,
-    });
+  // 客户端只能修改自己的展示偏好，其余字段由服务端填写
+  onSocketEvent(socket, "presence:update", async (payload) => {
+    const user = getSocketUser(socket);
+    if (!user) return;
+
+    const hideCoins = !!payload?.hideCoins;
+    if (!!user.preferences?.hideCoins !== hideCoins) {
+      user.preferences = { ...user.preferences, hideCoins };
+      await store.transaction(() => saveUser(user));
+    }
 
     broadcastOnlineUsers();
   });
 
+  onSocketEvent(socket, "heartbeat", async (payload, ack) => {
+    const user = getSocketUser(socket);
+    if (!user) {
+      if (typeof ack === "function") ack({ error: "Unauthorized." });
+      return;
+    }
+    // 以握手时的页面 id 为准，心跳里的 clientId 不能冒充别的页面；和 HTTP 心跳一样按用户排队
+    const result = await userLocks.run([user.username], () =>
+      isStaleVersion(user.state, payload?.version)
+        ? staleResponse(user)
+        : handleHeartbeat(user, { ...payload, clientId: socket.data.clientId })
+    );
+    if (typeof ack === "function") ack(result);
+  });
+
+  // 「在此窗口继续」：把计时交给这个页面
+  socket.on("leader:takeover", (payload, ack) => {
+    const user = getSocketUser(socket);
+    if (!user) return;
+    setLeader(user.username, socket.id);
+    if (typeof ack === "function") ack({ ok: true });
+  });
+
+  registerTradeHandlers(socket);
+  registerLeaderboardHandlers(socket);
+
   socket.on("disconnect", () => {
-    onlineUsers.delete(socket.id);
+    if (!socket.data.username) return;
+    forgetClient(activity, socket.data.username, socket.data.clientId);
+    removeOnlineSocket(socket.data.username, socket.id);
     broadcastOnlineUsers();
   });
 });
 
+// ==================== 玩家交易 ====================
+// 报价只能发给在线用户；接受时在服务端一次性完成卡牌和硬币的交换
+// 所有报价（含过期、拒绝）都保留在 trades 里，方便处理纠纷
+
+function getPendingTrades(username) {
+  return trades
+    .filter((t) => t.status === "pending" && isTradeParty(t, username))
+    .map(toPublicTrade);
+}
+
+function emitTrade(trade) {
+  const payload = toPublicTrade(trade);
+  io.to(userRoom(trade.from)).emit("trade:update", payload);
+  io.to(userRoom(trade.to)).emit("trade:update", payload);
+}
+
+// 检查一方是否拿得出报价里的卡和硬币；拿得出时返回要交出的卡
+function collectSide(user, side) {
+  const cards = pickTradeCards(user.state.cards, side.cards);
+  if (!cards) return null;
+  if (getAvailableCoins(user.state) < side.coins) return null;
+  return cards;
+}
+
+// 返回 toUser 新得到的卡
+function transferCards(cards, fromUser, toUser, tradeId, at) {
+  const received = [];
+  for (const card of cards) {
+    card.consumedAt = at.toISOString();
+    card.consumedBy = tradeId;
+    card.consumedFor = "trade";
+    received.push(
+      createTradeRecord({
+        level: card.level,
+        tableVersion: card.tableVersion,
+        tradeId,
+        from: fromUser.username,
+        at,
+      })
+    );
+  }
+  toUser.state.cards.push(...received);
+  return received;
+}
+
+// 成交：先校验双方，全部通过后才修改数据（中途不会 await）
+// 返回 { error } 或 { saves }：saves 为 [user, 改动过的抽卡记录]，由调用方写回
+function executeTrade(trade, now) {
+  const fromUser = findUser(trade.from);
+  const toUser = findUser(trade.to);
+  if (!fromUser || !toUser) return { error: "Player no longer exists." };
+  prepareUser(fromUser);
+  prepareUser(toUser);
+
+  const giveCards = collectSide(fromUser, trade.give);
+  if (!giveCards) {
+    return { error: `${trade.from} no longer has the offered items.` };
+  }
+  const getCards = collectSide(toUser, trade.get);
+  if (!getCards) {
+    return { error: `${trade.to} no longer has the requested items.` };
+  }
+
+  const at = new Date(now);
+  const toReceived = transferCards(giveCards, fromUser, toUser, trade.id, at);
+  const fromReceived = transferCards(getCards, toUser, fromUser, trade.id, at);
+
+  const net = trade.get.coins - trade.give.coins;
+  fromUser.state.coinsTraded = (fromUser.state.coinsTraded || 0) + net;
+  toUser.state.coinsTraded = (toUser.state.coinsTraded || 0) - net;
+  bumpStateVersion(fromUser.state);
+  bumpStateVersion(toUser.state);
+  return {
+    saves: [
+      [fromUser, [...giveCards, ...fromReceived]],
+      [toUser, [...getCards, ...toReceived]],
+    ],
+  };
+}
+
+// 把到期仍未处理的报价标记为 expired 并写回，返回这些报价
+async function expirePendingTrades(now = Date.now()) {
+  const expired = expireTrades(trades, now);
+  if (expired.length) {
+    await store.transaction(() => expired.forEach((t) => store.trades.save(t)));
+  }
+  return expired;
+}
+
+function validateOffer(user, to, payload) {
+  if (!to || to === user.username) return { error: "Invalid trade partner." };
+  if (!onlineUsers.has(to)) return { error: "That player is not online." };
+
+  const give = normalizeSide(payload?.give, isValidLevel);
+  const get = normalizeSide(payload?.get, isValidLevel);
+  if (!give || !get) return { error: "Invalid offer." };
+  if (isEmptySide(give) && isEmptySide(get)) {
+    return { error: "Offer is empty." };
+  }
+  if (!collectSide(user, give)) {
+    return { error: "You don't have the offered items." };
+  }
+  return { give, get };
+}
+
+function registerTradeHandlers(socket) {
+  const reply = (ack, body) => {
+    if (typeof ack === "function") ack(body);
+  };
+
+  // payload { to, give, get }
+  onSocketEvent(socket, "trade:propose", async (payload, ack) => {
+    const user = getSocketUser(socket);
+    if (!user) return reply(ack, { error: "Unauthorized." });
+
+    const to = String(payload?.to || "");
+    const offer = validateOffer(user, to, payload);
+    if (offer.error) return reply(ack, offer);
+
+    const trade = createTrade({
+      from: user.username,
+      to,
+      give: offer.give,
+      get: offer.get,
+      now: Date.now(),
+    });
+    trades.push(trade);
+    await store.transaction(() => store.trades.save(trade));
+
+    emitTrade(trade);
+    reply(ack, { ok: true, trade: toPublicTrade(trade) });
+  });
+
+  // payload { id, action: "accept" | "reject" | "cancel" }
+  onSocketEvent(socket, "trade:respond", async (payload, ack) => {
+    const user = getSocketUser(socket);
+    if (!user) return reply(ack, { error: "Unauthorized." });
+
+    // 成交会同时修改双方的 state，两个人都要排队
+    const target = trades.find((t) => t.id === payload?.id);
+    const keys = target ? [target.from, target.to] : [user.username];
+    await userLocks.run(keys, async () => {
+      const now = Date.now();
+      (await expirePendingTrades(now)).forEach(emitTrade);
+
+      const trade = trades.find((t) => t.id === payload?.id);
+      if (!trade || !isTradeParty(trade, user.username)) {
+        return reply(ack, { error: "Trade not found." });
+      }
+      if (trade.status !== "pending") {
+        emitTrade(trade);
+        return reply(ack, { error: `Trade is already ${trade.status}.` });
+      }
+
+      const action = payload?.action;
+      const isRecipient = trade.to === user.username;
+      let saves = [];
+      if (action === "accept" && isRecipient) {
+        const result = executeTrade(trade, now);
+        const failure = result.error || null;
+        saves = result.saves || [];
+        trade.status = failure ? "failed" : "accepted";
+        recordTradeEvent(trade, user.username, "accept", now, failure);
+        if (!failure) {
+          awardAchievements(findUser(trade.from), "trade");
+          awardAchievements(user, "trade");
+        }
+      } else if (action === "reject" && isRecipient) {
+        trade.status = "rejected";
+        recordTradeEvent(trade, user.username, "reject", now);
+      } else if (action === "cancel" && !isRecipient) {
+        trade.status = "cancelled";
+        recordTradeEvent(trade, user.username, "cancel", now);
+      } else {
+        return reply(ack, { error: "Invalid action." });
+      }
+      await store.transaction(() => {
+        store.trades.save(trade);
+        saves.forEach(([party, cards]) => saveUser(party, cards));
+      });
+
+      emitTrade(trade);
+      if (trade.status === "accepted") broadcastOnlineUsers();
+      reply(ack, { ok: true, trade: toPublicTrade(trade) });
+    });
+  });
+
+  // 还价：原报价标记为 countered，再由接收方发起一份方向相反的新报价
+  // payload { id, give, get }（give / get 以还价方的角度填写）
+  onSocketEvent(socket, "trade:counter", async (payload, ack) => {
+    const user = getSocketUser(socket);
+    if (!user) return reply(ack, { error: "Unauthorized." });
+
+    const now = Date.now();
+    (await expirePendingTrades(now)).forEach(emitTrade);
+
+    const original = trades.find((t) => t.id === payload?.id);
+    if (!original || original.to !== user.username) {
+      return reply(ack, { error: "Trade not found." });
+    }
+    if (original.status !== "pending") {
+      return reply(ack, { error: `Trade is already ${original.status}.` });
+    }
+
+    const offer = validateOffer(user, original.from, payload);
+    if (offer.error) return reply(ack, offer);
+
+    const trade = createTrade({
+      from: user.username,
+      to: original.from,
+      give: offer.give,
+      get: offer.get,
+      counterOf: original.id,
+      now,
+    });
+    original.status = "countered";
+    recordTradeEvent(original, user.username, "counter", now, trade.id);
+    trades.push(trade);
+    await store.transaction(() => {
+      store.trades.save(original);
+      store.trades.save(trade);
+    });
+
+    emitTrade(original);
+    emitTrade(trade);
+    reply(ack, { ok: true, trade: toPublicTrade(trade) });
+  });
+}
+
+// 定时清理过期报价并通知双方
+const TRADE_SWEEP_INTERVAL = 10 * 1000;
+
+setInterval(async () => {
+  try {
+    const expired = await expirePendingTrades();
+    expired.forEach(emitTrade);
+  } catch (err) {
+    // 写入失败只记日志：存储里这些报价仍是 pending，重启后会再次被标记为过期
+    console.error("Trade sweep failed:", err);
+  }
+}, TRADE_SWEEP_INTERVAL).unref();
+
 // ==================== 启动服务 ====================
 
 const PORT = process.env.PORT || 6020;